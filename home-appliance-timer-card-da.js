@@ -0,0 +1,81 @@
+// Danish texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Billigste starttidspunkt',
+  'use_solar': 'Starttidspunkt med solenergi',
+  'use_best_co2': 'Starttidspunkt med mindst CO₂',
+  'use_best_blend': 'Bedste starttidspunkt (pris og CO₂)',
+  'optimize_price': 'Pris',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Begge',
+  'solar_share': 'Solandel',
+  'select_program': 'Program',
+  'start_time': 'Starttidspunkt',
+  'finish_by': 'Færdig senest',
+  'plan_by_start': 'Start kl.',
+  'plan_by_finish': 'Færdig senest',
+  'finish_unreachable': 'Programmet kan ikke blive færdigt i tide',
+  'timer_setting': 'Timer',
+  'start_now': 'Start nu!',
+  'action_set_timer': 'Indstil timer',
+  'action_start': 'Start',
+  'action_confirm': 'Indstille timeren på apparatet?',
+  'action_success': 'Timer indstillet',
+  'action_failed': 'Handlingen mislykkedes',
+  'delay_too_short': 'Ønsket tidspunkt kan ikke nås: korteste timer valgt',
+  'delay_too_long': 'Ønsket tidspunkt kan ikke nås: længste timer valgt',
+  'delay_none': 'Apparatet har ingen timerindstilling mellem min_delay og max_delay',
+  'quiet_hours_violation': 'Programmet kører i stilletiden',
+  'latest_end_violation': 'Programmet slutter efter {time}',
+  'overlap_warning': 'Overlapper med',
+  'starts_at': 'Start',
+  'ends_at': 'Slut',
+  'in': 'om {duration}',
+  'estimated_cost': 'Anslået pris',
+  'cost_now': 'Pris ved start nu',
+  'savings': 'Besparelse',
+  'not_available': 'Ikke tilgængelig',
+  'status': 'Status',
+  'elapsed': 'Forløbet',
+  'remaining': 'Tilbage',
+  'running_hint': 'Apparatet kører, planlægning er mulig igen, når programmet er færdigt',
+  'remote_start_disabled': 'Fjernstart er ikke aktiveret på apparatet',
+  'hour_label': 'Time',
+  'minute_label': 'Minut',
+  'later': 'Senere',
+  'earlier': 'Tidligere',
+  'previous_day': 'Forrige dag',
+  'next_day': 'Næste dag',
+  'time_zone_hint': 'Tider i {zone}',
+  'entity_missing': 'Enheden blev ikke fundet: {entity}',
+  'entity_unavailable': '{entity} er ikke tilgængelig',
+  'no_forecast': '{entity} giver ingen prognose',
+  'duration_unknown': 'Varigheden af {program} er ukendt, slut og bedste tid er ikke pålidelige',
+  'data_stale': '{entity}: prognosen er forældet',
+  'upcoming_plans': 'Kommende planer',
+  'finish_by_time': 'færdig senest {time}',
+  'no_price_data': 'ingen priser endnu',
+  'editor_title': 'Titel',
+  'editor_mode': 'Tilstand',
+  'editor_mode_start': 'Planlæg programstart',
+  'editor_mode_end': 'Planlæg programslut',
+  'editor_device_timer_interval': 'Apparatets timerinterval (min)',
+  'editor_ui_time_step': 'Trin for tidsvælgeren (min)',
+  'editor_default_time': 'Standardstarttid',
+  'editor_price_entity': 'Prisentitet',
+  'editor_solar_forecast_entity': 'Entitet for solprognose',
+  'editor_co2_entity': 'Entitet for CO₂-intensitet',
+  'editor_show_chart': 'Vis prisdiagram',
+  'editor_currency': 'Valuta',
+  'editor_programs': 'Programmer',
+  'editor_program': 'Program',
+  'editor_name': 'Navn',
+  'editor_duration': 'Varighed (min)',
+  'editor_offset': 'Forskydning (min)',
+  'editor_energy': 'Energi (kWh)',
+  'editor_icon': 'Ikon',
+  'editor_add_program': 'Tilføj program',
+  'editor_move_up': 'Flyt op',
+  'editor_move_down': 'Flyt ned',
+  'editor_remove': 'Fjern'
+};
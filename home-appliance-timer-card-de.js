@@ -0,0 +1,81 @@
+// German texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Günstigste Startzeit',
+  'use_solar': 'Startzeit mit Solarstrom',
+  'use_best_co2': 'Startzeit mit wenig CO₂',
+  'use_best_blend': 'Beste Startzeit (Preis und CO₂)',
+  'optimize_price': 'Preis',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Beides',
+  'solar_share': 'Solaranteil',
+  'select_program': 'Programm',
+  'start_time': 'Startzeit',
+  'finish_by': 'Fertig bis',
+  'plan_by_start': 'Startzeit',
+  'plan_by_finish': 'Fertig bis',
+  'finish_unreachable': 'Programm kann nicht rechtzeitig fertig werden',
+  'timer_setting': 'Timer',
+  'start_now': 'Jetzt starten!',
+  'action_set_timer': 'Timer setzen',
+  'action_start': 'Starten',
+  'action_confirm': 'Timer am Gerät setzen?',
+  'action_success': 'Timer gesetzt',
+  'action_failed': 'Aktion fehlgeschlagen',
+  'delay_too_short': 'Gewünschte Zeit nicht erreichbar: kürzester Timer gewählt',
+  'delay_too_long': 'Gewünschte Zeit nicht erreichbar: längster Timer gewählt',
+  'delay_none': 'Das Gerät bietet keine Timer-Einstellung zwischen min_delay und max_delay',
+  'quiet_hours_violation': 'Das Programm läuft in der Ruhezeit',
+  'latest_end_violation': 'Das Programm endet nach {time}',
+  'overlap_warning': 'Überschneidung mit',
+  'starts_at': 'Start',
+  'ends_at': 'Ende',
+  'in': 'in {duration}',
+  'estimated_cost': 'Geschätzte Kosten',
+  'cost_now': 'Kosten bei Start jetzt',
+  'savings': 'Ersparnis',
+  'not_available': 'Nicht verfügbar',
+  'status': 'Status',
+  'elapsed': 'Gelaufen',
+  'remaining': 'Restzeit',
+  'running_hint': 'Das Gerät läuft, die Planung ist bis zum Programmende gesperrt',
+  'remote_start_disabled': 'Fernstart ist am Gerät nicht aktiviert',
+  'hour_label': 'Stunde',
+  'minute_label': 'Minute',
+  'later': 'Später',
+  'earlier': 'Früher',
+  'previous_day': 'Vorheriger Tag',
+  'next_day': 'Nächster Tag',
+  'time_zone_hint': 'Zeiten in {zone}',
+  'entity_missing': 'Entität nicht gefunden: {entity}',
+  'entity_unavailable': '{entity} ist nicht verfügbar',
+  'no_forecast': '{entity} liefert keine Prognose',
+  'duration_unknown': 'Dauer von {program} unbekannt, Ende und beste Zeit sind nicht verlässlich',
+  'data_stale': '{entity}: Prognose ist veraltet',
+  'upcoming_plans': 'Geplante Läufe',
+  'finish_by_time': 'fertig bis {time}',
+  'no_price_data': 'noch keine Preise',
+  'editor_title': 'Titel',
+  'editor_mode': 'Modus',
+  'editor_mode_start': 'Programmstart timen',
+  'editor_mode_end': 'Programmende timen',
+  'editor_device_timer_interval': 'Timer-Intervall des Geräts (min)',
+  'editor_ui_time_step': 'Schrittweite der Zeitauswahl (min)',
+  'editor_default_time': 'Standard-Startzeit',
+  'editor_price_entity': 'Strompreis-Entität',
+  'editor_solar_forecast_entity': 'PV-Prognose-Entität',
+  'editor_co2_entity': 'CO₂-Intensitäts-Entität',
+  'editor_show_chart': 'Preis-Chart anzeigen',
+  'editor_currency': 'Währung',
+  'editor_programs': 'Programme',
+  'editor_program': 'Programm',
+  'editor_name': 'Name',
+  'editor_duration': 'Dauer (min)',
+  'editor_offset': 'Offset (min)',
+  'editor_energy': 'Energie (kWh)',
+  'editor_icon': 'Symbol',
+  'editor_add_program': 'Programm hinzufügen',
+  'editor_move_up': 'Nach oben',
+  'editor_move_down': 'Nach unten',
+  'editor_remove': 'Entfernen'
+};
@@ -0,0 +1,81 @@
+// Spanish texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Hora de inicio más barata',
+  'use_solar': 'Inicio con energía solar',
+  'use_best_co2': 'Inicio con menos CO₂',
+  'use_best_blend': 'Mejor hora de inicio (precio y CO₂)',
+  'optimize_price': 'Precio',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Ambos',
+  'solar_share': 'Cuota solar',
+  'select_program': 'Programa',
+  'start_time': 'Hora de inicio',
+  'finish_by': 'Terminado a las',
+  'plan_by_start': 'Iniciar a las',
+  'plan_by_finish': 'Terminado a las',
+  'finish_unreachable': 'El programa no puede terminar a tiempo',
+  'timer_setting': 'Temporizador',
+  'start_now': '¡Iniciar ahora!',
+  'action_set_timer': 'Programar temporizador',
+  'action_start': 'Iniciar',
+  'action_confirm': '¿Programar el temporizador en el aparato?',
+  'action_success': 'Temporizador programado',
+  'action_failed': 'La acción falló',
+  'delay_too_short': 'Hora deseada no alcanzable: se eligió el temporizador más corto',
+  'delay_too_long': 'Hora deseada no alcanzable: se eligió el temporizador más largo',
+  'delay_none': 'El aparato no ofrece ningún ajuste del temporizador entre min_delay y max_delay',
+  'quiet_hours_violation': 'El programa funciona durante las horas de silencio',
+  'latest_end_violation': 'El programa termina después de las {time}',
+  'overlap_warning': 'Se solapa con',
+  'starts_at': 'Inicio',
+  'ends_at': 'Fin',
+  'in': 'en {duration}',
+  'estimated_cost': 'Coste estimado',
+  'cost_now': 'Coste si se inicia ahora',
+  'savings': 'Ahorro',
+  'not_available': 'N/D',
+  'status': 'Estado',
+  'elapsed': 'Transcurrido',
+  'remaining': 'Restante',
+  'running_hint': 'El aparato está en marcha, la planificación estará disponible de nuevo cuando termine el programa',
+  'remote_start_disabled': 'El inicio remoto no está activado en el aparato',
+  'hour_label': 'Hora',
+  'minute_label': 'Minuto',
+  'later': 'Más tarde',
+  'earlier': 'Antes',
+  'previous_day': 'Día anterior',
+  'next_day': 'Día siguiente',
+  'time_zone_hint': 'Horas en {zone}',
+  'entity_missing': 'Entidad no encontrada: {entity}',
+  'entity_unavailable': '{entity} no está disponible',
+  'no_forecast': '{entity} no proporciona previsión',
+  'duration_unknown': 'Duración de {program} desconocida, el final y la mejor hora no son fiables',
+  'data_stale': '{entity}: la previsión está desactualizada',
+  'upcoming_plans': 'Próximas programaciones',
+  'finish_by_time': 'terminado a las {time}',
+  'no_price_data': 'aún sin precios',
+  'editor_title': 'Título',
+  'editor_mode': 'Modo',
+  'editor_mode_start': 'Programar el inicio del programa',
+  'editor_mode_end': 'Programar el final del programa',
+  'editor_device_timer_interval': 'Intervalo del temporizador del aparato (min)',
+  'editor_ui_time_step': 'Paso del selector de hora (min)',
+  'editor_default_time': 'Hora de inicio predeterminada',
+  'editor_price_entity': 'Entidad de precio',
+  'editor_solar_forecast_entity': 'Entidad de previsión solar',
+  'editor_co2_entity': 'Entidad de intensidad de CO₂',
+  'editor_show_chart': 'Mostrar gráfico de precios',
+  'editor_currency': 'Moneda',
+  'editor_programs': 'Programas',
+  'editor_program': 'Programa',
+  'editor_name': 'Nombre',
+  'editor_duration': 'Duración (min)',
+  'editor_offset': 'Desfase (min)',
+  'editor_energy': 'Energía (kWh)',
+  'editor_icon': 'Icono',
+  'editor_add_program': 'Añadir programa',
+  'editor_move_up': 'Subir',
+  'editor_move_down': 'Bajar',
+  'editor_remove': 'Eliminar'
+};
@@ -0,0 +1,81 @@
+// French texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Heure de début la moins chère',
+  'use_solar': 'Démarrage à l\'énergie solaire',
+  'use_best_co2': 'Démarrage à faible CO₂',
+  'use_best_blend': 'Meilleure heure de début (prix et CO₂)',
+  'optimize_price': 'Prix',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Les deux',
+  'solar_share': 'Part solaire',
+  'select_program': 'Programme',
+  'start_time': 'Heure de début',
+  'finish_by': 'Terminé avant',
+  'plan_by_start': 'Début à',
+  'plan_by_finish': 'Terminé avant',
+  'finish_unreachable': 'Le programme ne peut pas se terminer à temps',
+  'timer_setting': 'Minuterie',
+  'start_now': 'Démarrer maintenant !',
+  'action_set_timer': 'Régler la minuterie',
+  'action_start': 'Démarrer',
+  'action_confirm': 'Régler la minuterie de l\'appareil ?',
+  'action_success': 'Minuterie réglée',
+  'action_failed': 'Échec de l\'action',
+  'delay_too_short': 'Heure souhaitée inatteignable : minuterie la plus courte choisie',
+  'delay_too_long': 'Heure souhaitée inatteignable : minuterie la plus longue choisie',
+  'delay_none': 'L\'appareil ne propose aucun réglage de minuterie entre min_delay et max_delay',
+  'quiet_hours_violation': 'Le programme fonctionne pendant les heures calmes',
+  'latest_end_violation': 'Le programme se termine après {time}',
+  'overlap_warning': 'Chevauche',
+  'starts_at': 'Début',
+  'ends_at': 'Fin',
+  'in': 'dans {duration}',
+  'estimated_cost': 'Coût estimé',
+  'cost_now': 'Coût si démarré maintenant',
+  'savings': 'Économies',
+  'not_available': 'N/D',
+  'status': 'État',
+  'elapsed': 'Écoulé',
+  'remaining': 'Restant',
+  'running_hint': 'L\'appareil fonctionne, la planification sera de nouveau disponible à la fin du programme',
+  'remote_start_disabled': 'Le démarrage à distance n\'est pas activé sur l\'appareil',
+  'hour_label': 'Heure',
+  'minute_label': 'Minute',
+  'later': 'Plus tard',
+  'earlier': 'Plus tôt',
+  'previous_day': 'Jour précédent',
+  'next_day': 'Jour suivant',
+  'time_zone_hint': 'Heures en {zone}',
+  'entity_missing': 'Entité introuvable : {entity}',
+  'entity_unavailable': '{entity} n\'est pas disponible',
+  'no_forecast': '{entity} ne fournit pas de prévision',
+  'duration_unknown': 'Durée de {program} inconnue, la fin et le meilleur moment ne sont pas fiables',
+  'data_stale': '{entity} : la prévision est périmée',
+  'upcoming_plans': 'Programmations à venir',
+  'finish_by_time': 'terminé avant {time}',
+  'no_price_data': 'pas encore de prix',
+  'editor_title': 'Titre',
+  'editor_mode': 'Mode',
+  'editor_mode_start': 'Programmer le début du programme',
+  'editor_mode_end': 'Programmer la fin du programme',
+  'editor_device_timer_interval': 'Intervalle de la minuterie de l\'appareil (min)',
+  'editor_ui_time_step': 'Pas du sélecteur d\'heure (min)',
+  'editor_default_time': 'Heure de début par défaut',
+  'editor_price_entity': 'Entité de prix',
+  'editor_solar_forecast_entity': 'Entité de prévision solaire',
+  'editor_co2_entity': 'Entité d\'intensité carbone',
+  'editor_show_chart': 'Afficher le graphique des prix',
+  'editor_currency': 'Devise',
+  'editor_programs': 'Programmes',
+  'editor_program': 'Programme',
+  'editor_name': 'Nom',
+  'editor_duration': 'Durée (min)',
+  'editor_offset': 'Décalage (min)',
+  'editor_energy': 'Énergie (kWh)',
+  'editor_icon': 'Icône',
+  'editor_add_program': 'Ajouter un programme',
+  'editor_move_up': 'Monter',
+  'editor_move_down': 'Descendre',
+  'editor_remove': 'Supprimer'
+};
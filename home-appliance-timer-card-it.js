@@ -0,0 +1,81 @@
+// Italian texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Orario di avvio più economico',
+  'use_solar': 'Avvio con energia solare',
+  'use_best_co2': 'Avvio con meno CO₂',
+  'use_best_blend': 'Orario di avvio migliore (prezzo e CO₂)',
+  'optimize_price': 'Prezzo',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Entrambi',
+  'solar_share': 'Quota solare',
+  'select_program': 'Programma',
+  'start_time': 'Orario di avvio',
+  'finish_by': 'Finito entro',
+  'plan_by_start': 'Avvio alle',
+  'plan_by_finish': 'Finito entro',
+  'finish_unreachable': 'Il programma non può finire in tempo',
+  'timer_setting': 'Timer',
+  'start_now': 'Avvia ora!',
+  'action_set_timer': 'Imposta timer',
+  'action_start': 'Avvia',
+  'action_confirm': 'Impostare il timer sull\'elettrodomestico?',
+  'action_success': 'Timer impostato',
+  'action_failed': 'Azione non riuscita',
+  'delay_too_short': 'Orario desiderato non raggiungibile: scelto il timer più breve',
+  'delay_too_long': 'Orario desiderato non raggiungibile: scelto il timer più lungo',
+  'delay_none': 'L\'apparecchio non offre alcuna impostazione del timer tra min_delay e max_delay',
+  'quiet_hours_violation': 'Il programma funziona durante le ore di silenzio',
+  'latest_end_violation': 'Il programma termina dopo le {time}',
+  'overlap_warning': 'Si sovrappone a',
+  'starts_at': 'Inizio',
+  'ends_at': 'Fine',
+  'in': 'tra {duration}',
+  'estimated_cost': 'Costo stimato',
+  'cost_now': 'Costo se avviato ora',
+  'savings': 'Risparmio',
+  'not_available': 'N/D',
+  'status': 'Stato',
+  'elapsed': 'Trascorso',
+  'remaining': 'Rimanente',
+  'running_hint': 'L\'elettrodomestico è in funzione, la pianificazione sarà di nuovo disponibile al termine del programma',
+  'remote_start_disabled': 'L\'avvio remoto non è attivo sull\'elettrodomestico',
+  'hour_label': 'Ora',
+  'minute_label': 'Minuto',
+  'later': 'Più tardi',
+  'earlier': 'Prima',
+  'previous_day': 'Giorno precedente',
+  'next_day': 'Giorno successivo',
+  'time_zone_hint': 'Orari in {zone}',
+  'entity_missing': 'Entità non trovata: {entity}',
+  'entity_unavailable': '{entity} non è disponibile',
+  'no_forecast': '{entity} non fornisce previsioni',
+  'duration_unknown': 'Durata di {program} sconosciuta, fine e orario migliore non sono affidabili',
+  'data_stale': '{entity}: le previsioni non sono aggiornate',
+  'upcoming_plans': 'Programmazioni in arrivo',
+  'finish_by_time': 'finito entro le {time}',
+  'no_price_data': 'prezzi non ancora disponibili',
+  'editor_title': 'Titolo',
+  'editor_mode': 'Modalità',
+  'editor_mode_start': 'Programmare l\'avvio del programma',
+  'editor_mode_end': 'Programmare la fine del programma',
+  'editor_device_timer_interval': 'Intervallo del timer dell\'apparecchio (min)',
+  'editor_ui_time_step': 'Passo del selettore dell\'ora (min)',
+  'editor_default_time': 'Orario di avvio predefinito',
+  'editor_price_entity': 'Entità prezzo',
+  'editor_solar_forecast_entity': 'Entità previsione solare',
+  'editor_co2_entity': 'Entità intensità di CO₂',
+  'editor_show_chart': 'Mostra grafico dei prezzi',
+  'editor_currency': 'Valuta',
+  'editor_programs': 'Programmi',
+  'editor_program': 'Programma',
+  'editor_name': 'Nome',
+  'editor_duration': 'Durata (min)',
+  'editor_offset': 'Offset (min)',
+  'editor_energy': 'Energia (kWh)',
+  'editor_icon': 'Icona',
+  'editor_add_program': 'Aggiungi programma',
+  'editor_move_up': 'Sposta su',
+  'editor_move_down': 'Sposta giù',
+  'editor_remove': 'Rimuovi'
+};
@@ -0,0 +1,81 @@
+// Dutch texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Goedkoopste starttijd',
+  'use_solar': 'Starttijd met zonne-energie',
+  'use_best_co2': 'Starttijd met minste CO₂',
+  'use_best_blend': 'Beste starttijd (prijs en CO₂)',
+  'optimize_price': 'Prijs',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Beide',
+  'solar_share': 'Aandeel zonne-energie',
+  'select_program': 'Programma',
+  'start_time': 'Starttijd',
+  'finish_by': 'Klaar om',
+  'plan_by_start': 'Start om',
+  'plan_by_finish': 'Klaar om',
+  'finish_unreachable': 'Programma kan niet op tijd klaar zijn',
+  'timer_setting': 'Timer',
+  'start_now': 'Nu starten!',
+  'action_set_timer': 'Timer instellen',
+  'action_start': 'Starten',
+  'action_confirm': 'Timer op het apparaat instellen?',
+  'action_success': 'Timer ingesteld',
+  'action_failed': 'Actie mislukt',
+  'delay_too_short': 'Gewenste tijd niet haalbaar: kortste timer gekozen',
+  'delay_too_long': 'Gewenste tijd niet haalbaar: langste timer gekozen',
+  'delay_none': 'Het apparaat heeft geen timerinstelling tussen min_delay en max_delay',
+  'quiet_hours_violation': 'Het programma draait tijdens de stille uren',
+  'latest_end_violation': 'Het programma eindigt na {time}',
+  'overlap_warning': 'Overlapt met',
+  'starts_at': 'Start',
+  'ends_at': 'Einde',
+  'in': 'over {duration}',
+  'estimated_cost': 'Geschatte kosten',
+  'cost_now': 'Kosten bij nu starten',
+  'savings': 'Besparing',
+  'not_available': 'N.v.t.',
+  'status': 'Status',
+  'elapsed': 'Verstreken',
+  'remaining': 'Resterend',
+  'running_hint': 'Het apparaat draait, plannen is weer mogelijk als het programma klaar is',
+  'remote_start_disabled': 'Op afstand starten is niet ingeschakeld op het apparaat',
+  'hour_label': 'Uur',
+  'minute_label': 'Minuut',
+  'later': 'Later',
+  'earlier': 'Eerder',
+  'previous_day': 'Vorige dag',
+  'next_day': 'Volgende dag',
+  'time_zone_hint': 'Tijden in {zone}',
+  'entity_missing': 'Entiteit niet gevonden: {entity}',
+  'entity_unavailable': '{entity} is niet beschikbaar',
+  'no_forecast': '{entity} levert geen voorspelling',
+  'duration_unknown': 'Duur van {program} onbekend, einde en beste tijd zijn niet betrouwbaar',
+  'data_stale': '{entity}: voorspelling is verouderd',
+  'upcoming_plans': 'Geplande runs',
+  'finish_by_time': 'klaar om {time}',
+  'no_price_data': 'nog geen prijzen',
+  'editor_title': 'Titel',
+  'editor_mode': 'Modus',
+  'editor_mode_start': 'Start van het programma plannen',
+  'editor_mode_end': 'Einde van het programma plannen',
+  'editor_device_timer_interval': 'Timerinterval van het apparaat (min)',
+  'editor_ui_time_step': 'Stapgrootte tijdkiezer (min)',
+  'editor_default_time': 'Standaard starttijd',
+  'editor_price_entity': 'Prijsentiteit',
+  'editor_solar_forecast_entity': 'Entiteit zonneprognose',
+  'editor_co2_entity': 'Entiteit CO₂-intensiteit',
+  'editor_show_chart': 'Prijsgrafiek tonen',
+  'editor_currency': 'Valuta',
+  'editor_programs': 'Programma\'s',
+  'editor_program': 'Programma',
+  'editor_name': 'Naam',
+  'editor_duration': 'Duur (min)',
+  'editor_offset': 'Offset (min)',
+  'editor_energy': 'Energie (kWh)',
+  'editor_icon': 'Pictogram',
+  'editor_add_program': 'Programma toevoegen',
+  'editor_move_up': 'Omhoog',
+  'editor_move_down': 'Omlaag',
+  'editor_remove': 'Verwijderen'
+};
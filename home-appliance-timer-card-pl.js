@@ -0,0 +1,81 @@
+// Polish texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Najtańsza godzina startu',
+  'use_solar': 'Start z energią słoneczną',
+  'use_best_co2': 'Start z najniższą emisją CO₂',
+  'use_best_blend': 'Najlepsza godzina startu (cena i CO₂)',
+  'optimize_price': 'Cena',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Oba',
+  'solar_share': 'Udział energii słonecznej',
+  'select_program': 'Program',
+  'start_time': 'Godzina startu',
+  'finish_by': 'Gotowe do',
+  'plan_by_start': 'Start o',
+  'plan_by_finish': 'Gotowe do',
+  'finish_unreachable': 'Program nie zdąży się zakończyć',
+  'timer_setting': 'Timer',
+  'start_now': 'Uruchom teraz!',
+  'action_set_timer': 'Ustaw timer',
+  'action_start': 'Uruchom',
+  'action_confirm': 'Ustawić timer na urządzeniu?',
+  'action_success': 'Timer ustawiony',
+  'action_failed': 'Akcja nie powiodła się',
+  'delay_too_short': 'Wybrana godzina nieosiągalna: wybrano najkrótszy timer',
+  'delay_too_long': 'Wybrana godzina nieosiągalna: wybrano najdłuższy timer',
+  'delay_none': 'Urządzenie nie oferuje ustawienia timera między min_delay a max_delay',
+  'quiet_hours_violation': 'Program działa w godzinach ciszy',
+  'latest_end_violation': 'Program kończy się po {time}',
+  'overlap_warning': 'Nakłada się na',
+  'starts_at': 'Start',
+  'ends_at': 'Koniec',
+  'in': 'za {duration}',
+  'estimated_cost': 'Szacowany koszt',
+  'cost_now': 'Koszt przy starcie teraz',
+  'savings': 'Oszczędność',
+  'not_available': 'Niedostępne',
+  'status': 'Status',
+  'elapsed': 'Upłynęło',
+  'remaining': 'Pozostało',
+  'running_hint': 'Urządzenie pracuje, planowanie będzie znów dostępne po zakończeniu programu',
+  'remote_start_disabled': 'Zdalny start nie jest włączony w urządzeniu',
+  'hour_label': 'Godzina',
+  'minute_label': 'Minuta',
+  'later': 'Później',
+  'earlier': 'Wcześniej',
+  'previous_day': 'Poprzedni dzień',
+  'next_day': 'Następny dzień',
+  'time_zone_hint': 'Godziny w strefie {zone}',
+  'entity_missing': 'Nie znaleziono encji: {entity}',
+  'entity_unavailable': '{entity} jest niedostępne',
+  'no_forecast': '{entity} nie dostarcza prognozy',
+  'duration_unknown': 'Czas trwania {program} nieznany, koniec i najlepsza pora nie są wiarygodne',
+  'data_stale': '{entity}: prognoza jest nieaktualna',
+  'upcoming_plans': 'Nadchodzące plany',
+  'finish_by_time': 'gotowe do {time}',
+  'no_price_data': 'brak jeszcze cen',
+  'editor_title': 'Tytuł',
+  'editor_mode': 'Tryb',
+  'editor_mode_start': 'Planuj start programu',
+  'editor_mode_end': 'Planuj koniec programu',
+  'editor_device_timer_interval': 'Interwał timera urządzenia (min)',
+  'editor_ui_time_step': 'Krok wyboru czasu (min)',
+  'editor_default_time': 'Domyślna godzina startu',
+  'editor_price_entity': 'Encja ceny',
+  'editor_solar_forecast_entity': 'Encja prognozy PV',
+  'editor_co2_entity': 'Encja intensywności CO₂',
+  'editor_show_chart': 'Pokaż wykres cen',
+  'editor_currency': 'Waluta',
+  'editor_programs': 'Programy',
+  'editor_program': 'Program',
+  'editor_name': 'Nazwa',
+  'editor_duration': 'Czas trwania (min)',
+  'editor_offset': 'Przesunięcie (min)',
+  'editor_energy': 'Energia (kWh)',
+  'editor_icon': 'Ikona',
+  'editor_add_program': 'Dodaj program',
+  'editor_move_up': 'Przenieś w górę',
+  'editor_move_down': 'Przenieś w dół',
+  'editor_remove': 'Usuń'
+};
@@ -0,0 +1,81 @@
+// Swedish texts of home-appliance-timer-card.js, loaded when the card is shown in this language.
+// Keys missing here fall back to the English texts in the card.
+export default {
+  'use_best_price': 'Billigaste starttid',
+  'use_solar': 'Starttid med solenergi',
+  'use_best_co2': 'Starttid med minst CO₂',
+  'use_best_blend': 'Bästa starttid (pris och CO₂)',
+  'optimize_price': 'Pris',
+  'optimize_co2': 'CO₂',
+  'optimize_blend': 'Båda',
+  'solar_share': 'Solandel',
+  'select_program': 'Program',
+  'start_time': 'Starttid',
+  'finish_by': 'Klar senast',
+  'plan_by_start': 'Starta kl.',
+  'plan_by_finish': 'Klar senast',
+  'finish_unreachable': 'Programmet hinner inte bli klart i tid',
+  'timer_setting': 'Timer',
+  'start_now': 'Starta nu!',
+  'action_set_timer': 'Ställ in timer',
+  'action_start': 'Starta',
+  'action_confirm': 'Ställa in timern på apparaten?',
+  'action_success': 'Timer inställd',
+  'action_failed': 'Åtgärden misslyckades',
+  'delay_too_short': 'Önskad tid går inte att nå: kortaste timer vald',
+  'delay_too_long': 'Önskad tid går inte att nå: längsta timer vald',
+  'delay_none': 'Apparaten har ingen timerinställning mellan min_delay och max_delay',
+  'quiet_hours_violation': 'Programmet körs under tysta timmar',
+  'latest_end_violation': 'Programmet slutar efter {time}',
+  'overlap_warning': 'Överlappar med',
+  'starts_at': 'Start',
+  'ends_at': 'Slut',
+  'in': 'om {duration}',
+  'estimated_cost': 'Beräknad kostnad',
+  'cost_now': 'Kostnad vid start nu',
+  'savings': 'Besparing',
+  'not_available': 'Ej tillgänglig',
+  'status': 'Status',
+  'elapsed': 'Förfluten tid',
+  'remaining': 'Återstår',
+  'running_hint': 'Apparaten körs, planering är möjlig igen när programmet är klart',
+  'remote_start_disabled': 'Fjärrstart är inte aktiverat på apparaten',
+  'hour_label': 'Timme',
+  'minute_label': 'Minut',
+  'later': 'Senare',
+  'earlier': 'Tidigare',
+  'previous_day': 'Föregående dag',
+  'next_day': 'Nästa dag',
+  'time_zone_hint': 'Tider i {zone}',
+  'entity_missing': 'Entiteten hittades inte: {entity}',
+  'entity_unavailable': '{entity} är inte tillgänglig',
+  'no_forecast': '{entity} ger ingen prognos',
+  'duration_unknown': 'Längden på {program} är okänd, slut och bästa tid är inte tillförlitliga',
+  'data_stale': '{entity}: prognosen är inaktuell',
+  'upcoming_plans': 'Kommande planer',
+  'finish_by_time': 'klar senast {time}',
+  'no_price_data': 'inga priser än',
+  'editor_title': 'Titel',
+  'editor_mode': 'Läge',
+  'editor_mode_start': 'Tidsinställ programstart',
+  'editor_mode_end': 'Tidsinställ programslut',
+  'editor_device_timer_interval': 'Apparatens timerintervall (min)',
+  'editor_ui_time_step': 'Steg för tidsväljaren (min)',
+  'editor_default_time': 'Standardstarttid',
+  'editor_price_entity': 'Prisentitet',
+  'editor_solar_forecast_entity': 'Entitet för solprognos',
+  'editor_co2_entity': 'Entitet för CO₂-intensitet',
+  'editor_show_chart': 'Visa prisdiagram',
+  'editor_currency': 'Valuta',
+  'editor_programs': 'Program',
+  'editor_program': 'Program',
+  'editor_name': 'Namn',
+  'editor_duration': 'Längd (min)',
+  'editor_offset': 'Förskjutning (min)',
+  'editor_energy': 'Energi (kWh)',
+  'editor_icon': 'Ikon',
+  'editor_add_program': 'Lägg till program',
+  'editor_move_up': 'Flytta upp',
+  'editor_move_down': 'Flytta ned',
+  'editor_remove': 'Ta bort'
+};
@@ -9,24 +9,136 @@
  * - title: The card title.
  * - mode: "start" or "end". When set to "end", a program dropdown is shown with each program's duration.
  * - device_timer_interval: The resolution (in minutes) at which the device timer can be set. Default is 60 (hourly).
- * - ui_time_step: The minute increment for manual time selection. Default is 15.
+ * - plan_by: (Optional) "start" (default) to select the program start, or "finish" to select the time the program
+ *            should be finished by. The start is derived from the deadline (with a price source, the cheapest start
+ *            that still finishes in time) and the delay is rounded down by default.
+ * - plan_by_toggle: (Optional) Show a selector to switch between planning by start and by finish time.
+ * - max_days: (Optional) Last day that can be selected, in days from today. Default is 2 (the day after tomorrow).
+ * - min_delay / max_delay: (Optional) Shortest and longest delay (in minutes) the device timer supports.
+ * - allowed_delays: (Optional) List of the only delays (in minutes) the device timer supports, e.g. [180, 360, 540].
+ * - rounding: (Optional) How the delay is rounded to a supported value: "up" (default), "down", "nearest" or
+ *             "best_price" (the cheaper of the two nearest values, requires a price forecast).
+ * - ui_time_step: The minute increment for manual time selection, a divisor of 60. Default is 15.
+ * - time_picker: (Optional) "buttons" (default) for hour and minute spin buttons, "input" to type the time, or "ha" for
+ *                Home Assistant's ha-time-input. All honor ui_time_step.
  * - default_time: (Optional) The default desired start time in HH:MM format (24h).
- * - price_entity: (Optional) An entity that provides the time (in seconds) until the cheapest electricity price.
+ * - price_entity: (Optional) Either a price forecast entity (Nordpool "raw_today"/"raw_tomorrow", EPEX Spot "data",
+ *                 or a "forecast" list of start/end/price slots) or an entity that provides the time (in seconds)
+ *                 until the cheapest electricity price.
  *                 If provided, a toggle is available to switch between manual time selection and using the best price.
- * - programs: (Only for mode "end") An array of program configurations. Each program must have:
+ *                 With a price forecast, the best price time is the start of the cheapest window for the selected program.
+ * - action: (Optional) Service call to program the appliance when the "Set timer" button is pressed:
+ *     - service: The service to call as "domain.service" (or "perform_action").
+ *     - data: (Optional) Service data. Strings may contain {{ delay_minutes }}, {{ delay_hours }}, {{ delay_seconds }},
+ *             {{ start_time }}, {{ end_time }}, {{ start_datetime }}, {{ end_datetime }}, {{ program }}, {{ duration }}.
+ *     - target: (Optional) Service target, e.g. { entity_id: switch.washing_machine }.
+ *     - label: (Optional) Button label.
+ *     - confirmation: (Optional) Ask for confirmation before calling the service.
+ * - persistence: (Optional) Keeps the selected time, program and best price toggle across reloads and devices:
+ *     - "local": Stored in the browser (localStorage), keyed by "storage_key" (or the title).
+ *     - An object with helper entities shared by all devices, which the card reads and writes:
+ *         time_entity (input_datetime), program_entity (input_select), best_price_entity (input_boolean).
+ * - storage_key: (Optional) Key for local persistence if several cards share a title.
+ * - appliances: (Optional) A list of appliances planned together in one card. Each entry takes the same options as the card
+ *               (mode, device_timer_interval, programs, price_entity, ...) plus a "name" and an optional "power" (W).
+ *               Options on the top level (e.g. price_entity) are shared by all appliances; helper entities for
+ *               persistence and publish have to be set per appliance.
+ * - layout: (Optional, with appliances) "tabs" (default) or "stack".
+ * - max_concurrent: (Optional, with appliances) Maximum number of appliances running at the same time.
+ * - max_power: (Optional, with appliances) Maximum combined power (W) of appliances running at the same time.
+ *              Appliances are planned in order; the cheapest window of an appliance avoids the run windows of the
+ *              appliances before it if a limit would be exceeded.
+ * - publish: (Optional) Publishes the plan for automations whenever it is changed in the card or moved by new prices:
+ *     - start_entity / end_entity: input_datetime helpers for the planned program start and end.
+ *     - delay_entity: input_number helper for the timer delay in minutes.
+ *     - program_entity: input_text helper for the selected program.
+ *     - best_price_entity: input_boolean helper for the best price toggle.
+ *     - event: Fire a "home_appliance_timer_planned" event with the plan (requires an admin user).
+ * - quiet_hours: (Optional) Daily windows in which the program must not run, e.g. ["22:00-06:00"] or [{ from, to }].
+ * - latest_end: (Optional) Time (HH:MM) the program has to be finished by, e.g. before leaving the house. Applies to
+ *               its first occurrence after the program start.
+ *   The best time search only picks starts within these rules; a warning is shown if the selected time breaks one.
+ * - schedules: (Optional) Recurring plans: a list of { finish_by: "HH:MM" (best start before it) or start_at: "HH:MM",
+ *              program, days: [mon, ...], best_price (default true), name }. The next run of each schedule is listed with
+ *              its start time and recalculated with new prices. Without a planned date, the next run is preselected and
+ *              the selection follows the schedules until it is changed by hand.
+ * - labels: (Optional) Own texts for the card, by translation key (see TRANSLATIONS), e.g. { use_best_price: "Start cheap" }.
+ * - show_chart: (Optional) Show the price chart when a price forecast is available. Default is true.
+ * - programs: (Required for mode "end", optional for mode "start") An array of program configurations. Each program must have:
  *     - name: Name of the program.
  *     - duration: Duration of the program in minutes.
  *     - offset: (Optional) Time offset in minutes (default 0) to adjust the effective program time (e.g. delayed water heating).
+ *     - energy: (Optional) Total energy consumption of the program in kWh, spread evenly over the run time.
+ *     - noisy_phases: (Optional) Loud parts of the program (e.g. spinning) as a list of { from, to } in minutes from
+ *                     the start. Only these have to be outside quiet_hours; without them, the whole run has to.
+ *     - phases: (Optional) Energy profile as a list of phases with name, duration (minutes) and energy (kWh),
+ *               e.g. heating, washing and spinning. Used instead of "energy" for cost estimation and the cheapest window.
+ *     - default_time: (Optional) Time (HH:MM) selected with the program, instead of the card's default_time.
+ *     - device_timer_interval: (Optional) Timer resolution (minutes) of the device for this program.
+ *     - icon / color: (Optional) Icon (e.g. "mdi:leaf") and color of the program in the picker, the program row and the chart.
+ *     - preferred_window: (Optional) Daily window the program should run in, e.g. "09:00-17:00" or { from, to }. The best
+ *                         time search picks the best run inside it and only falls back to other times if there is none.
+ * - program_entity: (Optional) Select entity of the appliance integration (e.g. Home Connect, Miele). Its options are used
+ *                   as programs and its current option is selected in the card; a program chosen in the card is written back.
+ *                   Static programs with the same name (or "option") add duration, offset and energy to the options.
+ * - duration_entity: (Optional) Sensor with the duration of the current program (in s, min or h, or a timestamp of the program end).
+ * - status_entity: (Optional) Operation state of the appliance. While it reports a running state, the card shows the
+ *                  progress of the program (elapsed, remaining, expected end) instead of the planning.
+ * - running_states: (Optional) States of status_entity meaning the appliance is running. Default: run, running, in_use, ...
+ * - remaining_time_entity: (Optional) Sensor with the remaining program time (in s, min or h, or a timestamp of the program end).
+ * - remote_start_entity: (Optional) Binary sensor reporting whether remote start is allowed. If not, the action button
+ *                        is disabled and the reason is shown.
+ * - co2_entity: (Optional) Carbon intensity forecast entity (gCO2/kWh, e.g. Electricity Maps) with a forecast list in the same
+ *               formats as price_entity ("carbonIntensity", "intensity" or "value" per item). The expected emissions of the run
+ *               are shown next to the timer if the program has an energy profile.
+ * - optimize: (Optional) What the best time toggle optimizes: "price" (default), "co2" or "blend". With price_entity and
+ *             co2_entity, a selector in the card switches between them.
+ * - co2_weight: (Optional) Weight of CO2 in "blend" (0..1, default 0.5). Price and carbon intensity are each scaled to 0..1.
+ * - solar_forecast_entity: (Optional) PV forecast entity (Solcast "detailedForecast", Forecast.Solar style "watts" or a
+ *                          "forecast" list). Offers a toggle for the start time with the lowest effective cost: the share of
+ *                          the program power covered by solar costs solar_feed_in_price, the rest the grid price (if a price
+ *                          forecast is available). Without grid prices, the start with the highest solar share is used.
+ * - solar_feed_in_price: (Optional) Value of solar energy per kWh (e.g. the feed-in tariff). Default is 0.
+ * - power: (Optional, also per program) Power draw of the program in W. Defaults to energy / run time.
+ * - currency: (Optional) Currency shown for cost estimates. Defaults to the unit of the price entity (e.g. "EUR/kWh" -> "EUR").
  *
  * Features:
  * - Provides a manual time selection interface with up/down arrow buttons for hours and minutes.
+ *   Hours and minutes are spin buttons for screen readers and can be changed with the arrow keys, PageUp/PageDown,
+ *   Home/End and the mouse wheel. Holding an arrow button repeats the step.
  *   Manual selection remains visible even when "Use Best Price Time" is activated, allowing users to override it.
  *   If overridden, the toggle automatically turns off. Re-enabling it resets to the best price time.
  *   If manually adjusted back to the best price time, the toggle automatically turns on again.
+ * - With a price forecast, a price chart shows the price slots for today and tomorrow together with the selected
+ *   run window and the cheapest window. Dragging on the chart sets the start time.
+ * - With a price forecast and an energy profile for the program, the card shows the estimated cost at the selected start time,
+ *   the cost if started now and the savings.
  * - In "end" mode, the program dropdown displays the program name along with its duration in (HH:mm) format.
+ *   The dropdown is Home Assistant's ha-select with the program icons (a native select if ha-select is not loaded).
  * - Calculates the effective timer delay as:
  *       (Target start time + program duration - offset) - current time,
- *   then rounds up to the next allowed timer interval.
+ *   then rounds up to the next allowed timer interval (or as configured with "rounding").
+ *   The resulting program start and end after rounding are shown, with a warning if the desired time is not reachable.
+ * - The day of the selected time can be chosen below the time (today, tomorrow, ...). Without a chosen day, the next
+ *   occurrence of the selected time is used. Stepping the hour past midnight moves to the next or previous day.
+ * - Keeps the timer value and the countdown to program start and end up to date while the card is shown.
+ *   If the selected time has passed, the target switches to the next day and the day is shown below the start time.
+ * - Texts are available in English, German, French, Dutch, Italian, Spanish, Swedish, Danish and Polish (falling back to
+ *   English). English is built in, the other languages are loaded from home-appliance-timer-card-<language>.js next to the card
+ *   when needed.
+ *   Times, durations, dates and numbers follow the language and the 12/24 hour time format of the user profile.
+ * - Times are shown and selected in the time zone of the Home Assistant server (hass.config.time_zone), or in the local
+ *   zone of the browser if the user profile is set to it. Target times and delays use the wall clock time of that zone,
+ *   so they stay correct across DST changes. If browser and server zones differ, the zone is shown below the time.
+ *   Helpers, the published plan and the start_time/end_time templates use the server time zone.
+ * - The time and delay math (selected time, day offset, target time, reachable delays, rounding, delay and run window),
+ *   the switching of the best time toggles and the time zone conversions are a set of pure functions exported by this
+ *   module, with the current time passed in. The card reads the time from _now(), which uses card._clock if set.
+ *   The module also imports without a DOM (e.g. in Node); the elements are then not registered.
+ *   They are tested in test/ (npm test).
+ * - Checks the configuration in setConfig and names the invalid option in the error. Missing, unavailable or outdated
+ *   forecast entities (price, CO2, solar) are shown as a warning in the card, and no best time is taken from them.
+ * - Provides a visual card editor (getConfigElement) and an example configuration for the card picker (getStubConfig).
  * - Seamlessly integrates with Home Assistant's theme by using standard style variables, including a configurable
  *   card border radius.
  *
@@ -39,424 +151,3389 @@
  *
 **/
 
-class HomeApplianceTimerCard extends HTMLElement {
+// Values of status_entity meaning the appliance is running (Home Connect, Miele, SmartThings, ...)
+const DEFAULT_RUNNING_STATES = ['run', 'running', 'in_use', 'busy', 'washing', 'drying', 'rinsing', 'spinning'];
+
+// Attributes of forecast items holding the price, or the carbon intensity (Electricity Maps, CO2 Signal, ...)
+const PRICE_VALUE_KEYS = ['value', 'price', 'total', 'price_ct_per_kwh', 'price_per_kwh', 'price_eur_per_mwh'];
+const CO2_VALUE_KEYS = ['carbonIntensity', 'carbon_intensity', 'co2_intensity', 'intensity', 'value'];
+
+// Weekdays of the "days" of a schedule, in the order of Date.getDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Time of day in config options: HH:MM, or HH:MM:SS as written by the visual editor
+const TIME_OF_DAY_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const DEFAULT_CONFIG = {
+  mode: 'start',
+  device_timer_interval: 60,
+  ui_time_step: 15,
+  programs: [],
+  price_entity: null,
+  use_best_price: false,
+  use_solar: false,
+};
+
+// English card texts, the fallback for all languages. The other languages (ISO 639-1) are loaded from their own module.
+const TRANSLATIONS = {
+  // English
+  'en': {
+    'use_best_price': 'Cheapest start time',
+    'use_solar': 'Solar start time',
+    'use_best_co2': 'Lowest CO₂ start time',
+    'use_best_blend': 'Best start time (price and CO₂)',
+    'optimize_price': 'Price',
+    'optimize_co2': 'CO₂',
+    'optimize_blend': 'Both',
+    'solar_share': 'Solar share',
+    'select_program': 'Program',
+    'start_time': 'Start Time',
+    'finish_by': 'Finish by',
+    'plan_by_start': 'Start at',
+    'plan_by_finish': 'Finish by',
+    'finish_unreachable': 'Program cannot finish in time',
+    'timer_setting': 'Timer',
+    'start_now': 'Start now!',
+    'action_set_timer': 'Set timer',
+    'action_start': 'Start',
+    'action_confirm': 'Set the timer on the appliance?',
+    'action_success': 'Timer set',
+    'action_failed': 'Action failed',
+    'delay_too_short': 'Desired time not reachable: shortest timer selected',
+    'delay_too_long': 'Desired time not reachable: longest timer selected',
+    'delay_none': 'The device supports no timer setting between min_delay and max_delay',
+    'quiet_hours_violation': 'The program runs during quiet hours',
+    'latest_end_violation': 'The program ends after {time}',
+    'overlap_warning': 'Overlaps with',
+    'starts_at': 'Starts',
+    'ends_at': 'Ends',
+    'in': 'in {duration}',
+    'estimated_cost': 'Estimated cost',
+    'cost_now': 'Cost if started now',
+    'savings': 'Savings',
+    'not_available': 'N/A',
+    'status': 'Status',
+    'elapsed': 'Elapsed',
+    'remaining': 'Remaining',
+    'running_hint': 'The appliance is running, planning is available again when the program has finished',
+    'remote_start_disabled': 'Remote start is not enabled on the appliance',
+    'hour_label': 'Hour',
+    'minute_label': 'Minute',
+    'later': 'Later',
+    'earlier': 'Earlier',
+    'previous_day': 'Previous day',
+    'next_day': 'Next day',
+    'time_zone_hint': 'Times in {zone}',
+    'entity_missing': 'Entity not found: {entity}',
+    'entity_unavailable': '{entity} is unavailable',
+    'no_forecast': '{entity} provides no forecast',
+    'duration_unknown': 'Duration of {program} is unknown, end and best time are not reliable',
+    'data_stale': '{entity}: forecast is outdated',
+    'upcoming_plans': 'Upcoming plans',
+    'finish_by_time': 'finished by {time}',
+    'no_price_data': 'no prices yet',
+    'editor_title': 'Title',
+    'editor_mode': 'Mode',
+    'editor_mode_start': 'Time the program start',
+    'editor_mode_end': 'Time the program end',
+    'editor_device_timer_interval': 'Device timer interval (min)',
+    'editor_ui_time_step': 'Time picker step (min)',
+    'editor_default_time': 'Default start time',
+    'editor_price_entity': 'Price entity',
+    'editor_solar_forecast_entity': 'Solar forecast entity',
+    'editor_co2_entity': 'Carbon intensity entity',
+    'editor_show_chart': 'Show price chart',
+    'editor_currency': 'Currency',
+    'editor_programs': 'Programs',
+    'editor_program': 'Program',
+    'editor_name': 'Name',
+    'editor_duration': 'Duration (min)',
+    'editor_offset': 'Offset (min)',
+    'editor_energy': 'Energy (kWh)',
+    'editor_icon': 'Icon',
+    'editor_add_program': 'Add program',
+    'editor_move_up': 'Move up',
+    'editor_move_down': 'Move down',
+    'editor_remove': 'Remove'
+  }
+};
+
+// Languages with a module home-appliance-timer-card-<language>.js next to the card, loaded when the card is first
+// shown in the language. The modules sit in the same folder as the card because HACS only installs those files.
+const TRANSLATION_LANGUAGES = ['de', 'fr', 'nl', 'it', 'es', 'sv', 'da', 'pl'];
+const TRANSLATION_LOADS = {};
+
+/**
+ * Loads the texts of a language (e.g. "de" for "de-AT") from home-appliance-timer-card-<language>.js into TRANSLATIONS.
+ * Resolves to true once newly loaded; false if there is nothing to load or loading failed (English is used then).
+ */
+function loadTranslations(language) {
+  const base = String(language || 'en').toLowerCase().split('-')[0];
+  if (TRANSLATIONS[base] || !TRANSLATION_LANGUAGES.includes(base)) return Promise.resolve(false);
+  if (!TRANSLATION_LOADS[base]) {
+    TRANSLATION_LOADS[base] = import(new URL('./home-appliance-timer-card-' + base + '.js', import.meta.url).href)
+      .then((module) => {
+        TRANSLATIONS[base] = module.default;
+        return true;
+      })
+      .catch((err) => {
+        console.warn('home-appliance-timer-card: could not load the "' + base + '" translations', err);
+        return false;
+      });
+  }
+  return TRANSLATION_LOADS[base];
+}
+
+/**
+ * Text for a key in the given language (e.g. "pt-BR", then "pt"), falling back to English and then to the key.
+ * {name} placeholders are replaced with the given variables.
+ */
+function translate(language, key, variables) {
+  const lang = String(language || 'en').toLowerCase();
+  const table = [lang, lang.split('-')[0], 'en'].find((code) => TRANSLATIONS[code] && TRANSLATIONS[code][key] !== undefined);
+  return fillPlaceholders(table ? TRANSLATIONS[table][key] : key, variables);
+}
+
+function fillPlaceholders(text, variables) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (variables && variables[name] !== undefined ? variables[name] : match));
+}
+
+/*
+ * Scheduling core: the time and delay math of the card as pure functions without DOM or Home Assistant.
+ * The current time is passed in as "now", so the functions can be used (and checked) with any clock.
+ */
+
+// Intl formatters for getZonedParts, one per time zone (creating them is expensive)
+const ZONED_FORMATTERS = {};
+
+/**
+ * Wall clock time { year, month (1-12), day, hour, minute, second } of a date in the given IANA time zone
+ * (e.g. the Home Assistant server zone "Europe/Berlin"), or in the local time zone of the browser if none is given.
+ */
+function getZonedParts(date, timeZone) {
+  const value = new Date(date);
+  if (!timeZone) {
+    return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate(),
+      hour: value.getHours(), minute: value.getMinutes(), second: value.getSeconds() };
+  }
+  if (!ZONED_FORMATTERS[timeZone]) {
+    ZONED_FORMATTERS[timeZone] = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric',
+      month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+  }
+  const parts = {};
+  ZONED_FORMATTERS[timeZone].formatToParts(value).forEach((part) => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+  });
+  // Manche Engines liefern Mitternacht als "24"
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute, second: parts.second };
+}
+
+// Offset of the time zone from UTC in minutes at the given time (e.g. 120 for CEST)
+function getZoneOffset(ms, timeZone) {
+  const parts = getZonedParts(ms, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * The time at the given wall clock time in the time zone (local time of the browser if none is given).
+ * Like the Date constructor, day, hour and minute may overflow (e.g. day + 1 or minute 1500). A time that exists
+ * twice when the clocks go back is the first one; a time skipped when they go forward is moved past the gap.
+ */
+function fromZonedParts(parts, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Offsets vor und nach einer möglichen Zeitumstellung an diesem Tag
+  const before = wallClock - getZoneOffset(wallClock - 86400000, timeZone) * 60000;
+  const after = wallClock - getZoneOffset(wallClock + 86400000, timeZone) * 60000;
+  const matches = [before, after].filter((ms) => ms + getZoneOffset(ms, timeZone) * 60000 === wallClock);
+  return new Date(matches.length > 0 ? Math.min(...matches) : before);
+}
+
+/**
+ * The time of day hour:minute on the given day (days from today), or its next occurrence if no day is given
+ * or that day and time have passed. Uses the wall clock time of timeZone (local time if not given), so it stays
+ * correct across DST changes.
+ */
+function getSelectedTime(hour, minute, day, now, timeZone) {
+  const today = getZonedParts(now, timeZone);
+  const at = (days) => fromZonedParts({ year: today.year, month: today.month, day: today.day + days, hour, minute }, timeZone);
+  let target = at(day !== null && day !== undefined ? day : 0);
+  if (target <= now) {
+    target = at(0);
+    if (target <= now) {
+      target = at(1);
+    }
+  }
+  return target;
+}
+
+// Number of calendar days from the day of now to the day of the given date in timeZone (local time if not given)
+function getDayOffset(date, now, timeZone) {
+  const today = getZonedParts(now, timeZone);
+  const day = getZonedParts(date, timeZone);
+  return Math.round((Date.UTC(day.year, day.month - 1, day.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+}
+
+// Effective run time of a program in minutes (duration - offset), as used for the program end
+function getRunMinutes(program) {
+  if (!program) return 0;
+  const duration = parseInt(program.duration) || 0;
+  const offset = program.offset ? parseInt(program.offset) : 0;
+  return Math.max(0, duration - offset);
+}
+
+/**
+ * Desired program start for the selected time. When planning by finish time, the selected time is the deadline:
+ * the start is the optimal start (e.g. the cheapest one that still finishes in time) if given, otherwise
+ * the deadline minus the run time.
+ */
+function getTargetTime(selectedTime, planBy, runMinutes, optimalStart) {
+  if (planBy !== 'finish') return selectedTime;
+  if (optimalStart) return new Date(optimalStart);
+  return new Date(selectedTime.getTime() - runMinutes * 60000);
+}
+
+/**
+ * The nearest delays the device can be set to below (lower) and above (upper) the raw delay, with the
+ * device options min_delay, max_delay, allowed_delays and device_timer_interval.
+ * Either is null if the raw delay lies outside the supported range, both if no delay is supported at all.
+ */
+function getReachableDelays(rawMinutes, options) {
+  const minDelay = options.min_delay !== undefined ? parseFloat(options.min_delay) : 0;
+  const maxDelay = options.max_delay !== undefined ? parseFloat(options.max_delay) : Infinity;
+
+  if (Array.isArray(options.allowed_delays)) {
+    const allowed = options.allowed_delays
+      .map((value) => parseFloat(value))
+      .filter((value) => value >= minDelay && value <= maxDelay)
+      .sort((a, b) => a - b);
+    const below = allowed.filter((value) => value <= rawMinutes);
+    const above = allowed.filter((value) => value >= rawMinutes);
+    return {
+      lower: below.length > 0 ? below[below.length - 1] : null,
+      upper: above.length > 0 ? above[0] : null,
+    };
+  }
+
+  const interval = options.device_timer_interval || 60;
+  const first = Math.ceil(minDelay / interval) * interval;
+  const last = Math.floor(maxDelay / interval) * interval;
+  if (first > last) return { lower: null, upper: null };
+  const lower = Math.floor(rawMinutes / interval) * interval;
+  const upper = Math.ceil(rawMinutes / interval) * interval;
+  return {
+    lower: lower >= first ? Math.min(lower, last) : null,
+    upper: upper <= last ? Math.max(upper, first) : null,
+  };
+}
+
+/**
+ * Picks one of the two reachable delays: "up", "down", "nearest" or "best_price", where priceOf(delay)
+ * returns the price of the run resulting from a delay (or null if unknown).
+ */
+function roundDelay(rawMinutes, lower, upper, rounding, priceOf) {
+  switch (rounding) {
+    case 'down':
+      return lower;
+    case 'nearest':
+      return (rawMinutes - lower) < (upper - rawMinutes) ? lower : upper;
+    case 'best_price': {
+      const lowerPrice = priceOf ? priceOf(lower) : null;
+      const upperPrice = priceOf ? priceOf(upper) : null;
+      if (lowerPrice !== null && (upperPrice === null || lowerPrice < upperPrice)) {
+        return lower;
+      }
+      return upper;
+    }
+    default:
+      return upper;
+  }
+}
+
+/**
+ * Calculates the device timer delay for a desired program start and the resulting program start and end.
+ * The raw delay (to the start in "start" mode, to the effective end in "end" mode) is rounded to a value the
+ * device supports (see getReachableDelays) with options.rounding ("up" if not set).
+ * Returns { delayMinutes, rawMinutes, start, end, unreachable } where unreachable is "too_short", "too_long" or null,
+ * or "none" (with a delay of 0) if the device supports no delay at all.
+ */
+function computeDelayInfo(targetTime, runMinutes, options, now, priceOf) {
+  const runMs = runMinutes * 60000;
+  const isStartMode = options.mode === 'start';
+
+  const rawMinutes = ((isStartMode ? targetTime.getTime() : targetTime.getTime() + runMs) - now) / 60000;
+  const info = { rawMinutes, delayMinutes: 0, unreachable: null };
+
+  if (rawMinutes > 0) {
+    const { lower, upper } = getReachableDelays(rawMinutes, options);
+    if (lower === null && upper === null) {
+      // Kein Timerwert zwischen min_delay und max_delay (setConfig lehnt das ab): ohne Verzögerung, mit Hinweis
+      info.unreachable = 'none';
+    } else if (lower === null) {
+      info.delayMinutes = upper;
+      info.unreachable = 'too_short';
+    } else if (upper === null) {
+      info.delayMinutes = lower;
+      info.unreachable = 'too_long';
+    } else {
+      info.delayMinutes = roundDelay(rawMinutes, lower, upper, options.rounding || 'up', priceOf);
+    }
+  }
+
+  // Tatsächlicher Start und tatsächliches Ende nach dem Runden
+  const delayEnd = now.getTime() + info.delayMinutes * 60000;
+  info.start = new Date(isStartMode ? delayEnd : Math.max(now.getTime(), delayEnd - runMs));
+  info.end = new Date(info.start.getTime() + runMs);
+  return info;
+}
+
+// Whether two times fall into the same minute; the best time toggles are on while the selected time is the optimal one
+function isSameMinute(a, b) {
+  return !!a && !!b && Math.floor(a.getTime() / 60000) === Math.floor(b.getTime() / 60000);
+}
+
+/**
+ * Whether a best time toggle ("use_best_price" or "use_solar") is on for the selected time: on while the selected time
+ * is the optimal start, so it turns off when the time is changed by hand and on again when it is set back.
+ * The state is kept while the optimal start is not known yet (e.g. a saved selection) and when planning by
+ * finish time, where the selected time is the deadline.
+ */
+function isToggleOn(enabled, selectedTime, optimalStart, planBy) {
+  if (!optimalStart || planBy === 'finish') return !!enabled;
+  return isSameMinute(selectedTime, optimalStart);
+}
+
+/**
+ * Switches a best time toggle on or off. state is { toggles: { use_best_price, use_solar }, selection, lastManual }
+ * with selections as { hour, minute, day }. Switching on turns the other toggle off, remembers the manual selection
+ * (unless a toggle was on already) and selects optimalSelection if it is known; switching off restores the manual
+ * selection. When planning by finish time, the selection stays the deadline. Returns the new state.
+ */
+function switchToggle(state, key, on, optimalSelection, planBy) {
+  const otherKey = key === 'use_solar' ? 'use_best_price' : 'use_solar';
+  const wasOn = !!(state.toggles.use_best_price || state.toggles.use_solar);
+  const toggles = Object.assign({}, state.toggles);
+  toggles[key] = on;
+  let selection = state.selection;
+  let lastManual = state.lastManual;
+
+  if (on) {
+    // Nur ein Schalter kann aktiv sein
+    toggles[otherKey] = false;
+    // Manuelle Zeit merken, bevor zur besten Zeit gewechselt wird
+    if (!wasOn) {
+      lastManual = selection;
+    }
+    if (planBy !== 'finish' && optimalSelection) {
+      selection = optimalSelection;
+    }
+  } else if (planBy !== 'finish' && lastManual && lastManual.hour !== null && lastManual.minute !== null) {
+    // Ausgeschaltet: zurück zur letzten manuellen Zeit
+    selection = lastManual;
+  }
+  return { toggles, selection, lastManual };
+}
+
+// Number of a config option, also given as a string in YAML; NaN for anything else (e.g. "", null or true)
+function parseConfigNumber(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+}
+
+// Time zone of the browser, resolved once: nearly every date helper of the card compares against it
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Base class of the card elements; outside a browser (e.g. the tests of the scheduling functions in Node) there is
+// no HTMLElement, so the module can still be imported there
+const CardElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+class HomeApplianceTimerCard extends CardElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
-    this._config = {
-      mode: 'start',
-      device_timer_interval: 60,
-      ui_time_step: 15,
-      programs: [],
-      price_entity: null,
-      use_best_price: false,
-    };
+    this._config = Object.assign({}, DEFAULT_CONFIG);
 
-    const now = new Date();
+    // Bis zur ersten hass-Instanz die lokale Uhrzeit, danach in der Zeitzone der Karte (siehe set hass)
+    const now = this._now();
     this._selectedHour = now.getHours();
     this._selectedMinute = now.getMinutes();
+    this._timeChosen = false;
+    // Tag der Auswahl relativ zu heute (0 = heute), null = nächstes Vorkommen der Uhrzeit
+    this._selectedDay = null;
+    // Gespeichertes Datum (persistence: local), bis die Zeitzone bekannt ist
+    this._pendingDate = null;
     this._selectedProgram = 0;
+    this._planBy = 'start';
     this._language = null;
-    this._dropdownOpen = false;
+    this._dragging = false;
     
     // Speichern der letzten manuellen Zeiteinstellung
     this._lastManualHour = null;
     this._lastManualMinute = null;
+    this._lastManualDay = null;
+
+    this._priceSlots = [];
+    this._bestPriceTime = null;
+    this._solarSlots = [];
+    this._solarTime = null;
+    this._co2Slots = [];
+    this._optimize = 'price';
+    // Beste Zeiten der vorherigen Prognose, undefined bis zur ersten Berechnung
+    this._bestKey = undefined;
   }
 
   setConfig(config) {
     if (!config) {
       throw new Error('No configuration provided');
     }
-    this._config = Object.assign({}, this._config, config);
 
-    if (!this._config.price_entity) {
+    if (config.appliances !== undefined) {
+      this._setAppliancesConfig(config);
+      return;
+    }
+
+    const merged = Object.assign({}, DEFAULT_CONFIG, config);
+    this._validateConfig(merged);
+    this._config = merged;
+
+    if (!this._config.price_entity && !this._config.co2_entity) {
       this._config.use_best_price = false;
     }
+    if (!this._config.solar_forecast_entity) {
+      this._config.use_solar = false;
+    }
+    this._planBy = this._config.plan_by || 'start';
+    this._optimize = this._config.optimize || (this._config.price_entity ? 'price' : 'co2');
+
+    if (this._applyDefaultTime()) {
+      this._timeChosen = true;
+    }
+
+    // Gespeicherte Auswahl hat Vorrang vor default_time
+    this._loadLocalState();
+    this._render();
+  }
+
+  /**
+   * Checks the configuration and throws an error naming the first invalid option, which Home Assistant shows
+   * in place of the card. Options are checked for their type and range, programs one by one.
+   */
+  _validateConfig(config) {
+    const number = parseConfigNumber;
+    const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
 
-    if (this._config.mode !== 'start' && this._config.mode !== 'end') {
+    if (config.mode !== 'start' && config.mode !== 'end') {
       throw new Error('mode must be either "start" or "end"');
     }
 
-    if (this._config.mode === 'end' && !Array.isArray(this._config.programs)) {
-      throw new Error('For mode "end", programs must be provided as an array');
+    if (config.programs !== undefined && config.programs !== null && !Array.isArray(config.programs)) {
+      throw new Error('programs must be provided as an array');
     }
+    const programs = config.programs || [];
+    if (config.mode === 'end' && programs.length === 0 && !config.program_entity) {
+      throw new Error('For mode "end", programs must be provided as a non-empty array (or a program_entity)');
+    }
+    programs.forEach((program, index) => this._validateProgram(program, index, !config.program_entity));
 
-    if (this._config.default_time) {
-      const parts = this._config.default_time.split(':');
-      if (parts.length === 2) {
-        this._selectedHour = parseInt(parts[0]);
-        this._selectedMinute = parseInt(parts[1]);
+    ['price_entity', 'co2_entity', 'solar_forecast_entity', 'program_entity', 'duration_entity', 'status_entity',
+      'remaining_time_entity', 'remote_start_entity'].forEach((key) => {
+      const entityId = config[key];
+      if (entityId !== undefined && entityId !== null && !/^[a-z0-9_]+\.[a-z0-9_]+$/.test(String(entityId))) {
+        throw new Error(key + ' must be an entity ID like "sensor.electricity_price", got "' + entityId + '"');
       }
+    });
+
+    const interval = number(config.device_timer_interval);
+    if (!(interval > 0)) {
+      throw new Error('device_timer_interval must be a number of minutes greater than 0');
+    }
+
+    const step = number(config.ui_time_step);
+    if (!Number.isInteger(step) || step <= 0 || 60 % step !== 0) {
+      throw new Error('ui_time_step must be a number of minutes that divides 60 (e.g. 1, 5, 10, 15, 30 or 60)');
+    }
+
+    if (config.default_time !== undefined && config.default_time !== null && config.default_time !== '') {
+      if (!TIME_OF_DAY_PATTERN.test(String(config.default_time))) {
+        throw new Error('default_time must be a time in HH:MM format, got "' + config.default_time + '"');
+      }
+    }
+
+    if (config.max_days !== undefined && !(Number.isInteger(number(config.max_days)) && number(config.max_days) >= 0)) {
+      throw new Error('max_days must be a whole number of days (0 = today only)');
+    }
+
+    ['min_delay', 'max_delay'].forEach((key) => {
+      if (config[key] !== undefined && !(number(config[key]) >= 0)) {
+        throw new Error(key + ' must be a number of minutes');
+      }
+    });
+    if (number(config.min_delay) > number(config.max_delay)) {
+      throw new Error('min_delay must not be greater than max_delay');
+    }
+
+    if (config.plan_by && config.plan_by !== 'start' && config.plan_by !== 'finish') {
+      throw new Error('plan_by must be either "start" or "finish"');
+    }
+
+    if (config.optimize && !['price', 'co2', 'blend'].includes(config.optimize)) {
+      throw new Error('optimize must be one of "price", "co2" or "blend"');
+    }
+    const co2Weight = config.co2_weight;
+    if (co2Weight !== undefined && !(number(co2Weight) >= 0 && number(co2Weight) <= 1)) {
+      throw new Error('co2_weight must be a number between 0 and 1');
+    }
+
+    ['solar_feed_in_price', 'power'].forEach((key) => {
+      if (config[key] !== undefined && isNaN(number(config[key]))) {
+        throw new Error(key + ' must be a number');
+      }
+    });
+
+    const rounding = config.rounding;
+    if (rounding && !['up', 'down', 'nearest', 'best_price'].includes(rounding)) {
+      throw new Error('rounding must be one of "up", "down", "nearest" or "best_price"');
+    }
+
+    if (config.quiet_hours !== undefined && (!Array.isArray(config.quiet_hours)
+      || config.quiet_hours.some((window) => this._parseTimeWindow(window) === null))) {
+      throw new Error('quiet_hours must be a list of windows like "22:00-06:00" or { from, to }');
+    }
+
+    if (config.latest_end !== undefined && this._parseTimeOfDay(config.latest_end) === null) {
+      throw new Error('latest_end must be a time in HH:MM format');
+    }
+
+    if (config.allowed_delays !== undefined && (!Array.isArray(config.allowed_delays) || config.allowed_delays.length === 0
+      || config.allowed_delays.some((value) => !(number(value) >= 0)))) {
+      throw new Error('allowed_delays must be a non-empty list of delays in minutes');
+    }
+    // Mindestens ein Timerwert des Geräts muss zwischen min_delay und max_delay liegen
+    const minDelay = config.min_delay !== undefined ? number(config.min_delay) : 0;
+    const maxDelay = config.max_delay !== undefined ? number(config.max_delay) : Infinity;
+    if (config.allowed_delays !== undefined) {
+      if (!config.allowed_delays.some((value) => number(value) >= minDelay && number(value) <= maxDelay)) {
+        throw new Error('allowed_delays must contain at least one delay between min_delay and max_delay');
+      }
+    } else {
+      const intervals = [['device_timer_interval', interval]].concat(programs
+        .map((program, index) => ['programs[' + index + '].device_timer_interval', number(program.device_timer_interval)])
+        .filter(([, value]) => value > 0));
+      intervals.forEach(([key, value]) => {
+        if (Math.ceil(minDelay / value) * value > maxDelay) {
+          throw new Error(key + ' must have a multiple between min_delay and max_delay');
+        }
+      });
+    }
+
+    if (config.action) {
+      const service = config.action.perform_action || config.action.service;
+      if (typeof service !== 'string' || service.split('.').length !== 2) {
+        throw new Error('action.service must be given as "domain.service"');
+      }
+      if (config.action.data !== undefined && !isObject(config.action.data)) {
+        throw new Error('action.data must be an object with the service data');
+      }
+    }
+
+    if (config.running_states !== undefined && !Array.isArray(config.running_states)) {
+      throw new Error('running_states must be a list of states');
+    }
+
+    if (config.time_picker && !['buttons', 'input', 'ha'].includes(config.time_picker)) {
+      throw new Error('time_picker must be one of "buttons", "input" or "ha"');
+    }
+
+    if (config.labels !== undefined && !isObject(config.labels)) {
+      throw new Error('labels must be an object with texts by key, e.g. { use_best_price: "Start cheap" }');
+    }
+
+    if (config.publish !== undefined && !isObject(config.publish)) {
+      throw new Error('publish must be an object with helper entities and/or "event: true"');
+    }
+
+    const persistence = config.persistence;
+    if (persistence && persistence !== 'local' && !isObject(persistence)) {
+      throw new Error('persistence must be "local" or an object with helper entities');
+    }
+
+    if (config.schedules !== undefined) {
+      if (!Array.isArray(config.schedules)) {
+        throw new Error('schedules must be a list of plans like { program, finish_by: "06:30" }');
+      }
+      config.schedules.forEach((schedule, index) => this._validateSchedule(schedule, index, config));
+    }
+  }
+
+  // Checks one entry of "schedules"
+  _validateSchedule(schedule, index, config) {
+    if (typeof schedule !== 'object' || schedule === null) {
+      throw new Error('schedules[' + index + '] must be an object like { program, finish_by: "06:30" }');
+    }
+    const prefix = 'schedules[' + index + ']' + (schedule.name ? ' ("' + schedule.name + '")' : '') + ': ';
+    if ((schedule.finish_by === undefined) === (schedule.start_at === undefined)) {
+      throw new Error(prefix + 'either finish_by or start_at is required');
+    }
+    const time = schedule.finish_by !== undefined ? schedule.finish_by : schedule.start_at;
+    if (!TIME_OF_DAY_PATTERN.test(String(time))) {
+      throw new Error(prefix + (schedule.finish_by !== undefined ? 'finish_by' : 'start_at') + ' must be a time in HH:MM format');
+    }
+    if (schedule.days !== undefined && (!Array.isArray(schedule.days) || schedule.days.length === 0
+      || schedule.days.some((day) => !WEEKDAYS.includes(String(day).toLowerCase().slice(0, 3))))) {
+      throw new Error(prefix + 'days must be a list of weekdays like [mon, tue, wed, thu, fri]');
+    }
+    if (schedule.best_price !== undefined && typeof schedule.best_price !== 'boolean') {
+      throw new Error(prefix + 'best_price must be true or false');
+    }
+    // Programme der Programm-Entität sind erst zur Laufzeit bekannt
+    if (schedule.program !== undefined && !config.program_entity
+      && !(config.programs || []).some((program) => program && program.name === schedule.program)) {
+      throw new Error(prefix + 'program "' + schedule.program + '" is not in programs');
+    }
+  }
+
+  // Checks one entry of "programs"; the duration may be left out if it is read from the program entity
+  _validateProgram(program, index, requireDuration) {
+    const number = parseConfigNumber;
+    if (typeof program !== 'object' || program === null) {
+      throw new Error('programs[' + index + '] must be an object with name and duration');
+    }
+    const prefix = 'programs[' + index + ']' + (program.name ? ' ("' + program.name + '")' : '') + ': ';
+    if (program.name === undefined && program.option === undefined) {
+      throw new Error(prefix + 'name is required');
+    }
+
+    const duration = number(program.duration);
+    if (program.duration !== undefined || requireDuration) {
+      if (!(duration > 0)) {
+        throw new Error(prefix + 'duration must be a number of minutes greater than 0');
+      }
+    }
+    if (program.offset !== undefined) {
+      const offset = number(program.offset);
+      if (!(offset >= 0)) {
+        throw new Error(prefix + 'offset must be a number of minutes (0 or more)');
+      }
+      if (offset > duration) {
+        throw new Error(prefix + 'offset must not be greater than duration');
+      }
+    }
+    ['energy', 'power'].forEach((key) => {
+      if (program[key] !== undefined && !(number(program[key]) >= 0)) {
+        throw new Error(prefix + key + ' must be a number (0 or more)');
+      }
+    });
+    if (program.phases !== undefined && (!Array.isArray(program.phases) || program.phases.some((phase) =>
+      typeof phase !== 'object' || phase === null || !(number(phase.duration) > 0) || !(number(phase.energy) >= 0)))) {
+      throw new Error(prefix + 'phases must be a list of { name, duration, energy } with duration > 0');
+    }
+    if (program.noisy_phases !== undefined && (!Array.isArray(program.noisy_phases) || program.noisy_phases.some((phase) =>
+      typeof phase !== 'object' || phase === null || !(number(phase.to) > (number(phase.from) || 0))))) {
+      throw new Error(prefix + 'noisy_phases must be a list of { from, to } in minutes with to > from');
+    }
+    if (program.default_time !== undefined && !TIME_OF_DAY_PATTERN.test(String(program.default_time))) {
+      throw new Error(prefix + 'default_time must be a time in HH:MM format');
+    }
+    if (program.device_timer_interval !== undefined && !(number(program.device_timer_interval) > 0)) {
+      throw new Error(prefix + 'device_timer_interval must be a number of minutes greater than 0');
+    }
+    ['icon', 'color'].forEach((key) => {
+      if (program[key] !== undefined && typeof program[key] !== 'string') {
+        throw new Error(prefix + key + ' must be a string, e.g. ' + (key === 'icon' ? '"mdi:leaf"' : '"green" or "#4caf50"'));
+      }
+    });
+    if (program.preferred_window !== undefined && this._parseTimeWindow(program.preferred_window) === null) {
+      throw new Error(prefix + 'preferred_window must be a window like "09:00-17:00" or { from, to }');
     }
-    this._render();
+  }
+
+  // Selects the default_time of the selected program, or of the card. Returns whether there is one.
+  _applyDefaultTime() {
+    const program = this._getSelectedProgram();
+    const defaultTime = (program && program.default_time) || this._config.default_time;
+    if (!defaultTime) return false;
+    // HH:MM, or HH:MM:SS as written by the visual editor
+    const parts = String(defaultTime).split(':');
+    this._selectedHour = parseInt(parts[0]);
+    this._selectedMinute = parseInt(parts[1]);
+    this._selectedDay = null;
+    return true;
+  }
+
+  static getConfigElement() {
+    return document.createElement('home-appliance-timer-card-editor');
+  }
+
+  // Example configuration for the card picker; uses the first price forecast entity found
+  static getStubConfig(hass) {
+    const config = {
+      title: 'Washing Machine',
+      mode: 'end',
+      device_timer_interval: 60,
+      ui_time_step: 15,
+      default_time: '12:00',
+      programs: [
+        { name: 'Eco 40-60', duration: 210, offset: 0 },
+        { name: 'Quick', duration: 60, offset: 0 },
+      ],
+    };
+    if (hass && hass.states) {
+      const priceEntity = Object.keys(hass.states).find((entityId) => {
+        const attributes = hass.states[entityId].attributes || {};
+        return entityId.startsWith('sensor.') && (Array.isArray(attributes.raw_today) || Array.isArray(attributes.forecast));
+      });
+      if (priceEntity) {
+        config.price_entity = priceEntity;
+      }
+    }
+    return config;
   }
 
   set hass(hass) {
+    // Nur neu berechnen, wenn sich für die Karte relevante Zustände geändert haben
+    const changed = this._hasRelevantChange(hass);
+    const first = !this._hass;
     this._hass = hass;
-    
-    // Detect language from Home Assistant
-    if (hass.language) {
-      this._language = hass.language;
+
+    if (first && !this._timeChosen) {
+      // Aktuelle Uhrzeit in der Zeitzone der Karte statt der des Browsers
+      const now = this._getZonedParts(this._now());
+      this._selectedHour = now.hour;
+      this._selectedMinute = now.minute;
+    }
+    if (first) {
+      this._applyPendingDate();
     }
     
-    if (this._config.price_entity && hass.states[this._config.price_entity]) {
-      const stateObj = hass.states[this._config.price_entity];
-      this._bestPriceSeconds = parseInt(stateObj.state);
-      
-      // Wenn der Schalter aktiviert ist, setze die Startzeit auf die günstigste Zeit
-      if (this._bestPriceSeconds !== null) {
-        const bestTime = new Date(new Date().getTime() + this._bestPriceSeconds * 1000);
-        this._bestPriceHour = bestTime.getHours();
-        this._bestPriceMinute = bestTime.getMinutes();
-        
-        // Wenn der Schalter aktiviert ist, setze die Startzeit auf die günstigste Zeit
-        if (this._config.use_best_price) {
-          this._selectedHour = this._bestPriceHour;
-          this._selectedMinute = this._bestPriceMinute;
+    // Detect language from Home Assistant
+    const language = (hass.locale && hass.locale.language) || hass.language;
+    if (language && language !== this._language) {
+      this._language = language;
+      // Bis die Texte der Sprache geladen sind, zeigt die Karte die englischen
+      loadTranslations(language).then((loaded) => {
+        if (loaded && this._language === language) {
+          this._builtLanguage = null;
+          this._render();
         }
-      }
-    } else {
-      this._bestPriceSeconds = null;
-      this._bestPriceHour = null;
-      this._bestPriceMinute = null;
+      });
     }
-    
-    // Nur rendern, wenn das Dropdown nicht geöffnet ist
-    if (!this._dropdownOpen) {
-      this._render();
+
+    if (this._appliances) {
+      this._planAppliances(0);
+      return;
+    }
+    if (!changed) return;
+
+    this._readHelperState();
+    this._readProgramEntity();
+    // Ohne gespeicherte Planung mit Datum ist der nächste Lauf der Zeitpläne die Vorauswahl
+    if (first && this._selectedDay === null && this._getSchedules().length > 0) {
+      this._followingSchedule = true;
     }
+    this._updateBestPrice();
+    this._followSchedule();
+    this._render();
   }
 
-  _createButton(label, onClick) {
-    const button = document.createElement('button');
-    button.textContent = label;
-    button.addEventListener('click', onClick);
-    return button;
+  // Entities whose state the card depends on
+  _getWatchedEntities() {
+    const entities = [this._config.price_entity, this._config.co2_entity, this._config.solar_forecast_entity, this._config.program_entity, this._config.duration_entity,
+      this._config.status_entity, this._config.remaining_time_entity, this._config.remote_start_entity];
+    const persistence = this._config.persistence;
+    if (persistence && typeof persistence === 'object') {
+      entities.push(persistence.time_entity, persistence.program_entity, persistence.best_price_entity);
+    }
+    return entities.filter((entityId) => !!entityId);
   }
 
-  _formatTime(hour, minute) {
-    return ('0' + hour).slice(-2) + ':' + ('0' + minute).slice(-2);
+  _hasRelevantChange(hass) {
+    const old = this._hass;
+    if (!old || old.language !== hass.language || old.locale !== hass.locale || old.config !== hass.config) return true;
+    return this._getWatchedEntities().some((entityId) => old.states[entityId] !== hass.states[entityId]);
   }
 
-  _getTargetTime() {
-    const now = new Date();
-    let target = new Date(now);
-    target.setHours(this._selectedHour, this._selectedMinute, 0, 0);
-    if (target <= now) {
-      target.setDate(target.getDate() + 1);
-    }
-    return target;
+
+  // Selection that is persisted across reloads and devices
+  _getState() {
+    return {
+      hour: this._selectedHour,
+      minute: this._selectedMinute,
+      program: this._selectedProgram,
+      use_best_price: !!this._config.use_best_price,
+      use_solar: !!this._config.use_solar,
+      plan_by: this._planBy,
+      optimize: this._optimize,
+      // Absolutes Datum speichern, da der Tag relativ zu heute ist
+      date: this._selectedDay !== null ? this._getSelectedTime().toISOString() : null,
+      last_manual_hour: this._lastManualHour,
+      last_manual_minute: this._lastManualMinute,
+    };
   }
 
-  _computeDelay() {
-    const now = new Date();
-    let targetTime = this._getTargetTime();
-    let delayMinutes = 0;
+  _getStorageKey() {
+    return 'home-appliance-timer-card:' + (this._config.storage_key || this._config.title || 'default');
+  }
 
-    if (this._config.mode === 'start') {
-      delayMinutes = (targetTime - now) / 60000;
-    } else {
-      const program = this._config.programs[this._selectedProgram];
-      const duration = parseInt(program.duration);
-      const offset = program.offset ? parseInt(program.offset) : 0;
-      const effectiveEndTime = new Date(targetTime.getTime() + (duration - offset) * 60000);
-      delayMinutes = (effectiveEndTime - now) / 60000;
+  _loadLocalState() {
+    if (this._config.persistence !== 'local') return;
+    let state = null;
+    try {
+      state = JSON.parse(window.localStorage.getItem(this._getStorageKey()));
+    } catch (err) {
+      state = null;
     }
+    if (!state) return;
 
-    if (delayMinutes <= 0) {
-      return 0;
+    if (Number.isInteger(state.hour) && Number.isInteger(state.minute)) {
+      this._selectedHour = state.hour;
+      this._selectedMinute = state.minute;
+      this._timeChosen = true;
+    }
+    // Das Datum erst mit der Zeitzone des Servers in Tag und Uhrzeit aufteilen, vor der ersten hass-Instanz ist sie unbekannt
+    this._pendingDate = state.date ? new Date(state.date) : null;
+    if (this._hass) {
+      this._applyPendingDate();
+    }
+    if (Number.isInteger(state.program) && state.program < this._getPrograms().length) {
+      this._selectedProgram = state.program;
+    }
+    this._config.use_best_price = !!state.use_best_price && !!(this._config.price_entity || this._config.co2_entity);
+    this._config.use_solar = !!state.use_solar && !!this._config.solar_forecast_entity;
+    if (this._config.plan_by_toggle && (state.plan_by === 'start' || state.plan_by === 'finish')) {
+      this._planBy = state.plan_by;
+    }
+    if (this._config.price_entity && this._config.co2_entity && ['price', 'co2', 'blend'].includes(state.optimize)) {
+      this._optimize = state.optimize;
     }
+    this._lastManualHour = Number.isInteger(state.last_manual_hour) ? state.last_manual_hour : null;
+    this._lastManualMinute = Number.isInteger(state.last_manual_minute) ? state.last_manual_minute : null;
+  }
 
-    const interval = this._config.device_timer_interval || 60;
-    const roundedDelay = Math.ceil(delayMinutes / interval) * interval;
-    return roundedDelay;
+  // Selects the date saved in local storage, once the time zone of the card is known
+  _applyPendingDate() {
+    const date = this._pendingDate;
+    this._pendingDate = null;
+    if (date && date > this._now()) {
+      this._setSelectedDateTime(date);
+    }
   }
 
-  // Prüft, ob die aktuell gewählte Zeit der günstigsten Zeit entspricht
-  _isSelectedTimeBestPrice() {
-    if (this._bestPriceHour === null || this._bestPriceMinute === null) return false;
-    return this._selectedHour === this._bestPriceHour && this._selectedMinute === this._bestPriceMinute;
+  // Called after every user change of the selection
+  _selectionChanged() {
+    // Von Hand geändert: die Auswahl folgt nicht mehr den Zeitplänen
+    this._followingSchedule = false;
+    // Die Deadline begrenzt die Suche nach der günstigsten Startzeit
+    if (this._planBy === 'finish') {
+      this._updateBestPrice();
+    }
+    this._saveState();
+    this._publishPlan();
+    // Karte mit mehreren Geräten plant die folgenden Geräte neu
+    this.dispatchEvent(new CustomEvent('plan-changed'));
   }
 
-  // Localization helper
-  _t(textKey) {
-    const translations = {
-      'use_best_price': {
-        'de': 'Günstigste Startzeit',
-        'en': 'Cheapest start time'
-      },
-      'select_program': {
-        'de': 'Programm',
-        'en': 'Program'
-      },
-      'best_price_start': {
-        'de': 'Günstigste Startzeit',
-        'en': 'Best Price Start Time'
-      },
-      'start_time': {
-        'de': 'Startzeit',
-        'en': 'Start Time'
-      },
-      'timer_setting': {
-        'de': 'Timer',
-        'en': 'Timer'
-      },
-      'start_now': {
-        'de': 'Jetzt starten!',
-        'en': 'Start now!'
-      },
-      'hour': {
-        'de': 'h',
-        'en': 'h'
-      },
-      'minute': {
-        'de': 'min',
-        'en': 'min'
-      },
-      'not_available': {
-        'de': 'Nicht verfügbar',
-        'en': 'N/A'
+  // Saves the selection locally or writes it to the helper entities
+  _saveState() {
+    const persistence = this._config.persistence;
+    if (persistence === 'local') {
+      try {
+        window.localStorage.setItem(this._getStorageKey(), JSON.stringify(this._getState()));
+      } catch (err) {
+        // localStorage nicht verfügbar (z.B. privater Modus)
       }
-    };
-    
-    const lang = (this._language && this._language.substring(0, 2) === 'de') ? 'de' : 'en';
-    return translations[textKey][lang] || translations[textKey]['en'];
+    } else if (persistence && typeof persistence === 'object') {
+      // Schreiben verzögern, damit schnelles Klicken nicht viele Service-Aufrufe auslöst
+      clearTimeout(this._helperWriteTimeout);
+      this._helperWriteTimeout = setTimeout(() => this._writeHelperState(), 1000);
+    }
   }
 
-  _render() {
-    if (!this.shadowRoot) return;
-    this.shadowRoot.innerHTML = '';
+  _writeHelperState() {
+    const persistence = this._config.persistence;
+    if (!this._hass || !persistence || typeof persistence !== 'object') return;
+    const states = this._hass.states;
 
-    const card = document.createElement('ha-card');
+    if (persistence.time_entity) {
+      this._setInputDatetime(persistence.time_entity, this._getSelectedTime());
+    }
 
-    if (this._config.title) {
-      const header = document.createElement('div');
-      header.className = 'card-header';
-      header.textContent = this._config.title;
-      card.appendChild(header);
+    const program = this._getSelectedProgram();
+    const programEntity = persistence.program_entity;
+    if (program && programEntity && states[programEntity]) {
+      const options = states[programEntity].attributes.options || [];
+      if (options.includes(program.name) && states[programEntity].state !== program.name) {
+        this._hass.callService('input_select', 'select_option', { entity_id: programEntity, option: program.name });
+      }
     }
 
-    const content = document.createElement('div');
-    content.className = 'card-content';
+    const bestPriceEntity = persistence.best_price_entity;
+    if (bestPriceEntity && states[bestPriceEntity]) {
+      const service = this._config.use_best_price ? 'turn_on' : 'turn_off';
+      this._hass.callService('input_boolean', service, { entity_id: bestPriceEntity });
+    }
+  }
 
-    // Programm-Auswahl zuerst anzeigen
-    if (this._config.mode === 'end' && this._config.programs && this._config.programs.length > 0) {
-      const programRow = document.createElement('div');
-      programRow.className = 'row program-row';
-      
-      const programLabel = document.createElement('div');
-      programLabel.className = 'name program-label';
-      programLabel.textContent = this._t('select_program');
-      
-      const programContainer = document.createElement('div');
-      programContainer.className = 'state';
-      
-      const programSelect = document.createElement('select');
-      programSelect.className = 'dropdown';
-      
-      // Event-Listener für das Öffnen und Schließen des Dropdowns
-      programSelect.addEventListener('mousedown', () => {
-        this._dropdownOpen = true;
+  // Sets an input_datetime helper to the given date, or only to its time if the helper has no date
+  _setInputDatetime(entityId, date) {
+    const stateObj = this._hass.states[entityId];
+    if (!stateObj) return;
+    const data = { entity_id: entityId };
+    if (stateObj.attributes.has_date) {
+      data.datetime = this._formatDateTime(date);
+    } else {
+      data.time = this._formatServerTime(date) + ':00';
+    }
+    // Geschriebenen Zustand merken, um sein Echo in _readHelperState zu erkennen
+    this._helperWrites = this._helperWrites || {};
+    this._helperWrites[entityId] = data.datetime || data.time;
+    this._hass.callService('input_datetime', 'set_datetime', data);
+  }
+
+  // "YYYY-MM-DD HH:MM:SS" in the time zone of the server, as used by input_datetime
+  _formatDateTime(date) {
+    const parts = getZonedParts(date, this._getServerTimeZone());
+    return parts.year + '-' + ('0' + parts.month).slice(-2) + '-' + ('0' + parts.day).slice(-2)
+      + ' ' + this._formatServerTime(date) + ':00';
+  }
+
+  // "HH:MM" in the time zone of the server, e.g. for helpers and automations
+  _formatServerTime(date) {
+    const parts = getZonedParts(date, this._getServerTimeZone());
+    return this._formatTime(parts.hour, parts.minute);
+  }
+
+  /**
+   * Publishes the plan to the helpers configured in "publish" and/or fires the home_appliance_timer_planned event.
+   * Only called for changes by the user or by new prices, so opening the dashboard does not overwrite the plan.
+   * Unchanged plans are not published again.
+   */
+  _publishPlan() {
+    const publish = this._config.publish;
+    if (!publish || !this._hass) return;
+
+    clearTimeout(this._publishTimeout);
+    this._publishTimeout = setTimeout(() => {
+      // Der gerundete Lauf, wie ihn das Gerät tatsächlich ausführt
+      const plan = this._getPlan();
+      const data = {
+        name: this._config.name || this._config.title || '',
+        program: plan.program ? plan.program.name : '',
+        start: plan.start.toISOString(),
+        end: plan.end.toISOString(),
+        delay_minutes: plan.delayMinutes,
+        use_best_price: !!this._config.use_best_price,
+        use_solar: !!this._config.use_solar,
+      };
+
+      // Die Verzögerung ändert sich mit der Zeit, nur den Plan selbst vergleichen
+      const signature = JSON.stringify(Object.assign({}, data, { delay_minutes: null }));
+      if (signature === this._publishedSignature) return;
+      this._publishedSignature = signature;
+
+      const states = this._hass.states;
+      if (publish.start_entity) {
+        this._setInputDatetime(publish.start_entity, plan.start);
+      }
+      if (publish.end_entity) {
+        this._setInputDatetime(publish.end_entity, plan.end);
+      }
+      if (publish.delay_entity && states[publish.delay_entity]) {
+        this._hass.callService('input_number', 'set_value', { entity_id: publish.delay_entity, value: data.delay_minutes });
+      }
+      if (publish.program_entity && states[publish.program_entity]) {
+        this._hass.callService('input_text', 'set_value', { entity_id: publish.program_entity, value: data.program });
+      }
+      if (publish.best_price_entity && states[publish.best_price_entity]) {
+        const service = data.use_best_price ? 'turn_on' : 'turn_off';
+        this._hass.callService('input_boolean', service, { entity_id: publish.best_price_entity });
+      }
+      if (publish.event) {
+        this._hass.callApi('POST', 'events/home_appliance_timer_planned', data)
+          .catch((err) => console.warn('home-appliance-timer-card: could not fire event', err));
+      }
+    }, 1000);
+  }
+
+  // Applies changes of the helper entities (e.g. made on another device) to the selection
+  _readHelperState() {
+    const persistence = this._config.persistence;
+    if (!this._hass || !persistence || typeof persistence !== 'object') return;
+    const states = this._hass.states;
+    this._helperStates = this._helperStates || {};
+
+    const changed = (entityId) => {
+      const stateObj = entityId ? states[entityId] : null;
+      if (!stateObj || this._helperStates[entityId] === stateObj.state) return null;
+      this._helperStates[entityId] = stateObj.state;
+      return stateObj;
+    };
+
+    const timeState = changed(persistence.time_entity);
+    // Das Echo des eigenen Schreibens ändert die Auswahl nicht
+    if (timeState && timeState.state !== (this._helperWrites || {})[persistence.time_entity]) {
+      // "HH:MM:SS" oder "YYYY-MM-DD HH:MM:SS", in der Zeitzone des Servers
+      const hasDate = timeState.state.includes(' ');
+      const parts = timeState.state.split(' ').pop().split(':');
+      const hour = parseInt(parts[0]);
+      const minute = parseInt(parts[1]);
+      if (!isNaN(hour) && !isNaN(minute)) {
+        const serverZone = this._getServerTimeZone();
+        const dateParts = hasDate ? timeState.state.split(' ')[0].split('-').map((value) => parseInt(value)) : null;
+        const today = getZonedParts(this._now(), serverZone);
+        const date = fromZonedParts(dateParts ? { year: dateParts[0], month: dateParts[1], day: dateParts[2], hour, minute }
+          : { year: today.year, month: today.month, day: today.day, hour, minute }, serverZone);
+        // Ein Helfer nur mit Uhrzeit behält den gewählten Tag, solange die Uhrzeit zur Auswahl passt
+        const current = getZonedParts(this._getSelectedTime(), serverZone);
+        if (hasDate || current.hour !== hour || current.minute !== minute) {
+          const selected = this._getZonedParts(date);
+          this._selectedHour = selected.hour;
+          this._selectedMinute = selected.minute;
+          this._selectedDay = null;
+          if (hasDate && date > this._now()) {
+            this._setSelectedDateTime(date);
+          }
+        }
+      }
+    }
+
+    const programState = changed(persistence.program_entity);
+    if (programState) {
+      const index = this._getPrograms().findIndex((program) => program.name === programState.state);
+      if (index >= 0) {
+        this._selectedProgram = index;
+      }
+    }
+
+    const bestPriceState = changed(persistence.best_price_entity);
+    if (bestPriceState && this._config.price_entity) {
+      this._config.use_best_price = bestPriceState.state === 'on';
+    }
+  }
+
+  // Several appliances in one card: each appliance is rendered by an embedded card instance
+  _setAppliancesConfig(config) {
+    if (!Array.isArray(config.appliances) || config.appliances.length === 0) {
+      throw new Error('appliances must be provided as a non-empty array');
+    }
+    if (config.layout && config.layout !== 'tabs' && config.layout !== 'stack') {
+      throw new Error('layout must be either "tabs" or "stack"');
+    }
+    const number = parseConfigNumber;
+    if (config.max_concurrent !== undefined
+      && !(Number.isInteger(number(config.max_concurrent)) && number(config.max_concurrent) >= 1)) {
+      throw new Error('max_concurrent must be a whole number of appliances (1 or more)');
+    }
+    if (config.max_power !== undefined && !(number(config.max_power) > 0)) {
+      throw new Error('max_power must be a power in W greater than 0');
+    }
+    // Helper entities auf oberster Ebene würden von allen Geräten gemeinsam gelesen und überschrieben
+    if (config.persistence && typeof config.persistence === 'object') {
+      throw new Error('persistence with helper entities must be set per appliance ("local" can be shared)');
+    }
+    if (config.publish && typeof config.publish === 'object'
+      && Object.keys(config.publish).some((key) => key !== 'event')) {
+      throw new Error('publish with helper entities must be set per appliance ("event: true" can be shared)');
+    }
+    this._config = Object.assign({}, config);
+
+    // Top level options (e.g. price_entity) are shared by all appliances
+    const shared = Object.assign({}, config);
+    ['type', 'title', 'appliances', 'layout', 'schedules'].forEach((key) => delete shared[key]);
+    const layout = config.layout || 'tabs';
+
+    this._appliances = config.appliances.map((appliance, index) => {
+      const name = appliance.name || ('#' + (index + 1));
+      const child = document.createElement('home-appliance-timer-card');
+      child._embedded = true;
+      try {
+        child.setConfig(Object.assign({}, shared, {
+          storage_key: (config.storage_key || config.title || 'default') + ':' + name,
+        }, appliance, {
+          name,
+          title: layout === 'stack' ? name : undefined,
+        }));
+      } catch (err) {
+        throw new Error('appliances[' + index + '] ("' + name + '"): ' + err.message);
+      }
+      child.addEventListener('plan-changed', () => this._planAppliances(index + 1));
+      return child;
+    });
+    this._selectedAppliance = Math.min(this._selectedAppliance || 0, this._appliances.length - 1);
+
+    if (this._hass) {
+      this._planAppliances(0);
+    }
+    this._render();
+  }
+
+  /**
+   * Passes hass to the appliances starting at fromIndex. Each appliance gets the planned run windows
+   * of the appliances before it, so the cheapest window respects max_concurrent and max_power.
+   */
+  _planAppliances(fromIndex) {
+    if (!this._hass) return;
+    const windows = [];
+    this._appliances.forEach((child, index) => {
+      if (index >= fromIndex) {
+        const blockedChanged = JSON.stringify(windows) !== JSON.stringify(child._blockedWindows || []);
+        child._blockedWindows = windows.slice();
+        child.hass = this._hass;
+        if (blockedChanged) {
+          child._updateBestPrice();
+          child._render();
+        }
+      }
+      const plan = child._getPlan();
+      windows.push({
+        name: child._config.name,
+        start: plan.start,
+        end: plan.end,
+        power: parseFloat(child._config.power) || 0,
+      });
+    });
+  }
+
+  // Whether a run window is possible next to the planned windows of the other appliances and within the rules
+  // (rules: windows from _getRuleWindows covering the run, computed once per search)
+  _isWindowAllowed(startMs, endMs, program, rules) {
+    return this._getConflicts(startMs, endMs) === null && this._getRuleViolations(startMs, program, rules).length === 0;
+  }
+
+  // Minutes since midnight of a time of day ("HH:MM"), or null
+  _parseTimeOfDay(value) {
+    const parts = String(value).split(':');
+    const hours = parseInt(parts[0]);
+    const minutes = parseInt(parts[1]);
+    if (parts.length < 2 || isNaN(hours) || isNaN(minutes)) return null;
+    return hours * 60 + minutes;
+  }
+
+  // Daily window "HH:MM-HH:MM" or { from, to } as { from, to } in minutes since midnight, or null
+  _parseTimeWindow(window) {
+    if (typeof window !== 'string' && (typeof window !== 'object' || window === null)) return null;
+    const [from, to] = typeof window === 'string' ? window.split('-') : [window.from, window.to];
+    const parsed = { from: this._parseTimeOfDay(from), to: this._parseTimeOfDay(to) };
+    return parsed.from !== null && parsed.to !== null ? parsed : null;
+  }
+
+  // Daily quiet hours as [{ from, to }] in minutes since midnight; "to" before "from" spans midnight
+  _getQuietHours() {
+    const quietHours = this._config.quiet_hours;
+    if (!Array.isArray(quietHours)) return [];
+    return quietHours.map((window) => this._parseTimeWindow(window)).filter((window) => window !== null);
+  }
+
+  // Occurrences of the quiet hours overlapping the range fromMs..toMs: [{ start, end }] in ms
+  _getQuietWindows(fromMs, toMs) {
+    return this._getDailyWindows(fromMs, toMs, this._getQuietHours());
+  }
+
+  // Occurrences of daily windows ([{ from, to }] in minutes since midnight) overlapping the range fromMs..toMs
+  _getDailyWindows(fromMs, toMs, dailyWindows) {
+    const windows = [];
+    const first = this._getZonedParts(fromMs);
+    // Ab dem Vortag, da Fenster über Mitternacht gehen können
+    for (let day = first.day - 1; this._fromZonedParts({ year: first.year, month: first.month, day }).getTime() <= toMs; day++) {
+      dailyWindows.forEach((daily) => {
+        const at = (minute) => this._fromZonedParts({ year: first.year, month: first.month, day, minute }).getTime();
+        const start = at(daily.from);
+        const end = at(daily.to + (daily.to <= daily.from ? 1440 : 0));
+        if (start < toMs && fromMs < end) {
+          windows.push({ start, end });
+        }
+      });
+    }
+    return windows;
+  }
+
+  // Parts of the program that must not run in quiet hours, in minutes from the start: noisy_phases, or the whole run
+  _getNoisyPhases(program) {
+    if (program && Array.isArray(program.noisy_phases) && program.noisy_phases.length > 0) {
+      return program.noisy_phases
+        .map((phase) => ({ from: parseFloat(phase.from) || 0, to: parseFloat(phase.to) }))
+        .filter((phase) => !isNaN(phase.to) && phase.to > phase.from);
+    }
+    return [{ from: 0, to: this._getRunMinutes(program) }];
+  }
+
+  // End (ms) of a program started at startMs must not be after this: the first latest_end after the start, or null
+  _getLatestEndFor(startMs) {
+    const latestEnd = this._config.latest_end ? this._parseTimeOfDay(this._config.latest_end) : null;
+    if (latestEnd === null) return null;
+    const start = this._getZonedParts(startMs);
+    const at = (days) => this._fromZonedParts({ year: start.year, month: start.month, day: start.day + days, minute: latestEnd }).getTime();
+    const end = at(0);
+    return end > startMs ? end : at(1);
+  }
+
+  /**
+   * Occurrences of the rules in the range fromMs..toMs, for checking many runs within it without converting the
+   * daily times again: { quiet: quiet windows [{ start, end }], latestEnds: latest_end times (ms) up to the first after toMs }
+   */
+  _getRuleWindows(fromMs, toMs) {
+    const quiet = this._getQuietHours().length > 0 ? this._getQuietWindows(fromMs, toMs) : [];
+    const latestEnds = [];
+    for (let end = this._getLatestEndFor(fromMs); end !== null; end = this._getLatestEndFor(end)) {
+      latestEnds.push(end);
+      if (end > toMs) break;
+    }
+    return { quiet, latestEnds };
+  }
+
+  /**
+   * Rules broken by a run of the program (default: the selected one) started at startMs: "quiet_hours" and/or "latest_end".
+   * rules are the windows from _getRuleWindows for a range containing the run; computed for the run if not given.
+   */
+  _getRuleViolations(startMs, program = this._getSelectedProgram(), rules) {
+    const violations = [];
+    const runMs = this._getRunMinutes(program) * 60000;
+    const windows = rules || this._getRuleWindows(startMs, startMs + runMs);
+
+    if (windows.quiet.length > 0) {
+      const noisy = this._getNoisyPhases(program).some((phase) => {
+        const from = startMs + phase.from * 60000;
+        const to = startMs + phase.to * 60000;
+        return windows.quiet.some((window) => window.start < to && from < window.end);
+      });
+      if (noisy) violations.push('quiet_hours');
+    }
+
+    const latestEnd = windows.latestEnds.find((end) => end > startMs);
+    if (latestEnd !== undefined && startMs + runMs > latestEnd) {
+      violations.push('latest_end');
+    }
+    return violations;
+  }
+
+  // Names of the appliances that exceed max_concurrent or max_power together with this window, or null
+  _getConflicts(startMs, endMs) {
+    const blocked = this._blockedWindows || [];
+    const maxConcurrent = parseInt(this._config.max_concurrent);
+    const maxPower = parseFloat(this._config.max_power);
+    if (blocked.length === 0 || (isNaN(maxConcurrent) && isNaN(maxPower))) return null;
+
+    const overlapping = blocked.filter((window) => window.start.getTime() < endMs && startMs < window.end.getTime());
+    const power = overlapping.reduce((sum, window) => sum + window.power, parseFloat(this._config.power) || 0);
+    if ((!isNaN(maxConcurrent) && overlapping.length + 1 > maxConcurrent) || (!isNaN(maxPower) && power > maxPower)) {
+      return overlapping.map((window) => window.name);
+    }
+    return null;
+  }
+
+  _renderAppliances() {
+    this.shadowRoot.innerHTML = '';
+    const card = document.createElement('ha-card');
+
+    if (this._config.title) {
+      const header = document.createElement('div');
+      header.className = 'card-header';
+      header.textContent = this._config.title;
+      card.appendChild(header);
+    }
+
+    const layout = this._config.layout || 'tabs';
+    if (layout === 'tabs') {
+      const tabs = document.createElement('div');
+      tabs.className = 'tabs';
+      this._appliances.forEach((child, index) => {
+        const tab = this._createButton(child._config.name, () => {
+          this._selectedAppliance = index;
+          this._renderAppliances();
+        });
+        tab.className = 'tab' + (index === this._selectedAppliance ? ' active' : '');
+        tabs.appendChild(tab);
+      });
+      card.appendChild(tabs);
+    }
+
+    this._appliances.forEach((child, index) => {
+      child.style.display = (layout === 'tabs' && index !== this._selectedAppliance) ? 'none' : '';
+      card.appendChild(child);
+    });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      ha-card {
+        padding: 16px;
+        color: var(--primary-text-color);
+      }
+      .card-header {
+        color: var(--ha-card-header-color, --primary-text-color);
+        font-family: var(--ha-card-header-font-family, inherit);
+        font-size: var(--ha-card-header-font-size, 24px);
+        letter-spacing: -0.012em;
+        line-height: 32px;
+        display: block;
+        padding: 8px 0 16px;
+      }
+      .tabs {
+        display: flex;
+        gap: 4px;
+        margin-bottom: 16px;
+        border-bottom: 1px solid var(--divider-color, rgba(0, 0, 0, 0.12));
+      }
+      .tab {
+        background: none;
+        border: none;
+        border-bottom: 2px solid transparent;
+        color: var(--primary-text-color);
+        font-size: 14px;
+        font-weight: 500;
+        cursor: pointer;
+        padding: 8px 12px;
+      }
+      .tab.active {
+        color: var(--primary-color);
+        border-bottom-color: var(--primary-color);
+      }
+      home-appliance-timer-card + home-appliance-timer-card {
+        display: block;
+        margin-top: 16px;
+        padding-top: 8px;
+        border-top: 1px solid var(--divider-color, rgba(0, 0, 0, 0.12));
+      }
+    `;
+    this.shadowRoot.appendChild(style);
+    this.shadowRoot.appendChild(card);
+  }
+
+  connectedCallback() {
+    // Anzeige laufend aktualisieren, damit Timer und Countdown nicht veralten
+    if (!this._tickInterval) {
+      this._tickInterval = setInterval(() => this._tick(), 10000);
+    }
+  }
+
+  disconnectedCallback() {
+    clearInterval(this._tickInterval);
+    this._tickInterval = null;
+  }
+
+  // Called every few seconds: patches the time dependent values
+  _tick() {
+    if (this._appliances || !this._updaters || this._dragging) return;
+
+    // Cheapest start has passed: search again from now on
+    const expired = this._now().getTime() - 60000;
+    if ((this._bestPriceTime && this._bestPriceTime.getTime() < expired) || (this._solarTime && this._solarTime.getTime() < expired)
+      || (this._schedulePlans || []).some((plan) => plan.start.getTime() < expired)) {
+      this._updateBestPrice();
+      this._followSchedule();
+    }
+    this._render();
+  }
+
+  // Formats a duration in minutes in the user's language, e.g. "2h 30m" or "2 Std. 30 Min."
+  _formatDuration(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const format = (value, unit) => new Intl.NumberFormat(this._getLocale(), { style: 'unit', unit, unitDisplay: 'narrow' }).format(value);
+    const parts = [];
+    if (hours > 0) {
+      parts.push(format(hours, 'hour'));
+    }
+    if (minutes > 0 || hours === 0) {
+      parts.push(format(minutes, 'minute'));
+    }
+    return parts.join(' ');
+  }
+
+  // "Today" / "Tomorrow" / weekday and date for the given date
+  _formatDay(date) {
+    const days = this._getDayOffset(date);
+    if (days === 0 || days === 1) {
+      const text = new Intl.RelativeTimeFormat(this._getLocale(), { numeric: 'auto' }).format(days, 'day');
+      return text.charAt(0).toLocaleUpperCase(this._getLocale()) + text.slice(1);
+    }
+    return new Intl.DateTimeFormat(this._getLocale(), { weekday: 'short', day: 'numeric', month: 'numeric', timeZone: this._getTimeZone() })
+      .format(date);
+  }
+
+  // Updates timer, countdown and day label without rebuilding the card
+  _updateLiveText() {
+    if (!this._liveEls) return;
+    const { timer, countdown, day } = this._liveEls;
+    const plan = this._getPlan();
+    const now = this._now();
+
+    timer.textContent = plan.delayMinutes <= 0 ? this._t('start_now') : this._formatDuration(plan.delayMinutes);
+    // Nur bei Änderung setzen, damit Screenreader den Tag nicht wiederholt ansagen
+    const dayText = this._formatDay(this._getSelectedTime());
+    if (day.textContent !== dayText) {
+      day.textContent = dayText;
+    }
+
+    const untilStart = Math.ceil((plan.start - now) / 60000);
+    const untilEnd = Math.ceil((plan.end - now) / 60000);
+    let text = this._t('starts_at') + ' ' + this._formatClock(plan.start)
+      + ' (' + this._t('in', { duration: this._formatDuration(Math.max(0, untilStart)) }) + ')';
+    if (plan.end > plan.start) {
+      text += ' · ' + this._t('ends_at') + ' ' + this._formatClock(plan.end)
+        + ' (' + this._t('in', { duration: this._formatDuration(untilEnd) }) + ')';
+    }
+    countdown.textContent = text;
+  }
+
+  _createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Current time. Everything time dependent in the card reads it from here, so the clock can be replaced (card._clock).
+  _now() {
+    return this._clock ? new Date(this._clock()) : new Date();
+  }
+
+  _formatTime(hour, minute) {
+    return ('0' + hour).slice(-2) + ':' + ('0' + minute).slice(-2);
+  }
+
+  /**
+   * The selected time (the desired start, or the deadline when planning by finish time) on the selected day.
+   * Without a selected day, or if the selected day and time have passed, it is the next occurrence of the time.
+   */
+  _getSelectedTime() {
+    return getSelectedTime(this._selectedHour, this._selectedMinute, this._selectedDay, this._now(), this._getTimeZone());
+  }
+
+  // Number of days from today to the day of the given date
+  _getDayOffset(date) {
+    return getDayOffset(date, this._now(), this._getTimeZone());
+  }
+
+  // Selects the day and time of the given date
+  _setSelectedDateTime(date) {
+    const selection = this._getSelectionFor(date);
+    this._selectedHour = selection.hour;
+    this._selectedMinute = selection.minute;
+    this._selectedDay = selection.day;
+  }
+
+  // Hour, minute and day (relative to today) that select the given date in the time zone of the card
+  _getSelectionFor(date) {
+    const parts = this._getZonedParts(date);
+    return { hour: parts.hour, minute: parts.minute, day: this._getDayOffset(date) };
+  }
+
+  // Time zone of the Home Assistant server (hass.config.time_zone), undefined if unknown
+  _getServerTimeZone() {
+    return (this._hass && this._hass.config && this._hass.config.time_zone) || undefined;
+  }
+
+  /**
+   * Time zone the card shows and selects times in, like the Home Assistant frontend: the server zone unless the
+   * user profile is set to the local zone of the browser. Undefined means the local zone of the browser.
+   */
+  _getTimeZone() {
+    const serverZone = this._getServerTimeZone();
+    const preference = this._hass && this._hass.locale ? this._hass.locale.time_zone : null;
+    if (!serverZone || preference === 'local' || serverZone === this._getBrowserTimeZone()) return undefined;
+    return serverZone;
+  }
+
+  _getBrowserTimeZone() {
+    return BROWSER_TIME_ZONE;
+  }
+
+  // Wall clock time of a date in the time zone of the card
+  _getZonedParts(date) {
+    return getZonedParts(date, this._getTimeZone());
+  }
+
+  // Date for a wall clock time in the time zone of the card (day, hour and minute may overflow)
+  _fromZonedParts(parts) {
+    return fromZonedParts(parts, this._getTimeZone());
+  }
+
+  // Last day that can be selected, relative to today (default: the day after tomorrow)
+  _getMaxDays() {
+    const maxDays = parseInt(this._config.max_days);
+    return isNaN(maxDays) ? 2 : maxDays;
+  }
+
+  // First day the selected time can be on: today, or tomorrow if the time has already passed today
+  _getFirstDay() {
+    return this._getDayOffset(getSelectedTime(this._selectedHour, this._selectedMinute, 0, this._now(), this._getTimeZone()));
+  }
+
+  // Moves the selection by whole days within the first possible day and max_days
+  _shiftSelectedDay(days) {
+    const current = this._getDayOffset(this._getSelectedTime());
+    this._selectedDay = Math.min(this._getMaxDays(), Math.max(this._getFirstDay(), current + days));
+  }
+
+  // Desired program start. When planning by finish time, it is derived from the deadline.
+  _getTargetTime() {
+    let optimalStart = null;
+    if (this._config.use_best_price && this._bestPriceTime) {
+      optimalStart = this._bestPriceTime;
+    } else if (this._config.use_solar && this._solarTime) {
+      optimalStart = this._solarTime;
+    }
+    return getTargetTime(this._getSelectedTime(), this._planBy, this._getRunMinutes(this._getSelectedProgram()), optimalStart);
+  }
+
+  // Whether the program can still finish by the selected deadline
+  _canFinishInTime() {
+    if (this._planBy !== 'finish') return true;
+    return this._getTargetTime().getTime() >= Math.floor(this._now().getTime() / 60000) * 60000;
+  }
+
+  _computeDelay() {
+    return this._computeDelayInfo().delayMinutes;
+  }
+
+  // Device timer delay for the selected time and the resulting program start and end (see computeDelayInfo)
+  _computeDelayInfo() {
+    // Beim Planen nach Endzeit standardmäßig abrunden, damit das Programm nicht nach der Deadline fertig wird
+    const options = Object.assign(this._getDeviceOptions(), {
+      rounding: this._config.rounding || (this._planBy === 'finish' ? 'down' : 'up'),
+    });
+    return computeDelayInfo(this._getTargetTime(), this._getRunMinutes(this._getSelectedProgram()), options, this._now(),
+      (delayMinutes) => this._getDelayPrice(delayMinutes));
+  }
+
+  // Device timer options of the card, with the device_timer_interval of the selected program if it has one
+  _getDeviceOptions() {
+    const options = Object.assign({}, this._config);
+    const program = this._getSelectedProgram();
+    if (program && program.device_timer_interval !== undefined) {
+      options.device_timer_interval = parseFloat(program.device_timer_interval);
+    }
+    return options;
+  }
+
+  // Average price of the program run that results from a delay; null without price forecast
+  _getDelayPrice(delayMinutes) {
+    if (this._priceSlots.length === 0) return null;
+    const program = this._getSelectedProgram();
+    const runMinutes = this._getRunMinutes(program);
+    const delayEnd = this._now().getTime() + delayMinutes * 60000;
+    const start = this._config.mode === 'start' ? delayEnd : delayEnd - runMinutes * 60000;
+    const profile = this._getEnergyProfile(program) || [{ from: 0, to: runMinutes, energy: 1 }];
+    return this._profileCost(this._priceSlots, profile, start);
+  }
+
+  // Prüft, ob die aktuell gewählte Zeit der günstigsten Zeit entspricht
+  _isSelectedTimeBestPrice() {
+    return this._isSelectedTimeOptimal('use_best_price');
+  }
+
+  /**
+   * Whether the selected time is the optimal start of a toggle: "use_best_price" (cheapest grid price)
+   * or "use_solar" (lowest cost with the solar forecast).
+   */
+  _isSelectedTimeOptimal(key) {
+    // Beim Planen nach Endzeit bleibt die gewählte Zeit die Deadline, der Schalter wird nicht abgeleitet
+    if (this._planBy === 'finish') return !!this._config[key];
+    return isSameMinute(this._getSelectedTime(), this._getOptimalTime(key));
+  }
+
+  _getOptimalTime(key) {
+    return key === 'use_solar' ? this._solarTime : this._bestPriceTime;
+  }
+
+  /**
+   * Programs of the appliance. With a program_entity (select), its options are the programs; durations come from
+   * duration_entity for the current program or from a static program with the same name (or "option").
+   * Falls back to the static programs list if the entity is missing or unavailable.
+   */
+  _getPrograms() {
+    const programs = Array.isArray(this._config.programs) ? this._config.programs : [];
+    const stateObj = (this._hass && this._config.program_entity) ? this._hass.states[this._config.program_entity] : null;
+    const options = stateObj && stateObj.attributes ? stateObj.attributes.options : null;
+    if (!Array.isArray(options) || options.length === 0 || stateObj.state === 'unavailable') {
+      return programs;
+    }
+
+    const duration = this._getEntityMinutes(this._config.duration_entity);
+    return options.map((option) => {
+      const known = programs.find((program) => (program.option || program.name) === option);
+      const program = Object.assign({ name: option }, known, { option });
+      if (option === stateObj.state && duration !== null) {
+        program.duration = duration;
+      }
+      return program;
+    });
+  }
+
+  // Minutes from a duration sensor (in s/min/h) or until a timestamp sensor (e.g. program end)
+  _getEntityMinutes(entityId) {
+    const stateObj = (this._hass && entityId) ? this._hass.states[entityId] : null;
+    if (!stateObj) return null;
+    const attributes = stateObj.attributes || {};
+
+    if (attributes.device_class === 'timestamp') {
+      const end = new Date(stateObj.state);
+      if (isNaN(end.getTime())) return null;
+      return Math.max(0, Math.round((end - this._now()) / 60000));
+    }
+
+    const value = parseFloat(stateObj.state);
+    if (isNaN(value)) return null;
+    const unit = attributes.unit_of_measurement;
+    if (unit === 's') return Math.round(value / 60);
+    if (unit === 'h') return Math.round(value * 60);
+    return Math.round(value);
+  }
+
+  // Selects the current program of program_entity in the card when it changes on the appliance
+  _readProgramEntity() {
+    const stateObj = (this._hass && this._config.program_entity) ? this._hass.states[this._config.program_entity] : null;
+    if (!stateObj || stateObj.state === this._programEntityState) return;
+    this._programEntityState = stateObj.state;
+    const index = this._getPrograms().findIndex((program) => program.option === stateObj.state);
+    if (index >= 0) {
+      this._selectedProgram = index;
+    }
+  }
+
+  // Writes the program selected in the card back to program_entity
+  _writeProgramEntity() {
+    const program = this._getSelectedProgram();
+    const entityId = this._config.program_entity;
+    if (!this._hass || !program || !program.option || !entityId) return;
+    if (this._hass.states[entityId] && this._hass.states[entityId].state !== program.option) {
+      this._hass.callService('select', 'select_option', { entity_id: entityId, option: program.option });
+    }
+  }
+
+  /**
+   * State of the appliance from status_entity, or null without one.
+   * Home Connect style values ("BSH.Common.EnumType.OperationState.Run") are reduced to the last part.
+   */
+  _getApplianceStatus() {
+    const stateObj = (this._hass && this._config.status_entity) ? this._hass.states[this._config.status_entity] : null;
+    if (!stateObj) return null;
+    const value = String(stateObj.state).split('.').pop().toLowerCase().replace(/[\s-]+/g, '_');
+    return { stateObj, value };
+  }
+
+  // True while the appliance reports one of the running states
+  _isApplianceRunning() {
+    const status = this._getApplianceStatus();
+    if (!status) return false;
+    const runningStates = this._config.running_states || DEFAULT_RUNNING_STATES;
+    return runningStates.some((state) => String(state).toLowerCase() === status.value);
+  }
+
+  // False if remote_start_entity reports that the appliance can't be started remotely, otherwise true
+  _isRemoteStartAllowed() {
+    const stateObj = (this._hass && this._config.remote_start_entity) ? this._hass.states[this._config.remote_start_entity] : null;
+    if (!stateObj) return true;
+    return ['on', 'true', 'allowed', 'enabled', 'yes'].includes(String(stateObj.state).toLowerCase());
+  }
+
+  /**
+   * Progress of the running program: elapsed minutes since the status changed to running, remaining minutes from
+   * remaining_time_entity (or the run time of the selected program) and the expected end.
+   */
+  _getProgress() {
+    const status = this._getApplianceStatus();
+    const now = this._now();
+    const started = status && status.stateObj.last_changed ? new Date(status.stateObj.last_changed) : null;
+    const elapsed = started && !isNaN(started.getTime()) ? Math.max(0, Math.round((now - started) / 60000)) : null;
+
+    let remaining = this._getEntityMinutes(this._config.remaining_time_entity);
+    if (remaining === null && elapsed !== null) {
+      const runMinutes = this._getRunMinutes(this._getSelectedProgram());
+      remaining = runMinutes > 0 ? Math.max(0, runMinutes - elapsed) : null;
+    }
+
+    const end = remaining !== null ? new Date(now.getTime() + remaining * 60000) : null;
+    const total = (elapsed || 0) + (remaining || 0);
+    return { elapsed, remaining, end, fraction: total > 0 && remaining !== null ? (elapsed || 0) / total : null };
+  }
+
+  // Returns the selected program, or null if no programs are configured
+  _getSelectedProgram() {
+    const programs = this._getPrograms();
+    if (programs.length === 0) return null;
+    return programs[this._selectedProgram] || programs[0];
+  }
+
+  // Effective run time of a program in minutes (duration - offset), as used for the program end
+  _getRunMinutes(program) {
+    return getRunMinutes(program);
+  }
+
+  // Latest allowed program end (ms) for the cheapest window: the deadline when planning by finish time
+  _getLatestEnd() {
+    return this._planBy === 'finish' ? this._getSelectedTime().getTime() : null;
+  }
+
+  // Recalculates the cheapest start time from the price entity
+  _updateBestPrice() {
+    const entityId = this._config.price_entity;
+    const stateObj = (entityId && this._hass) ? this._hass.states[entityId] : null;
+
+    const co2State = (this._config.co2_entity && this._hass) ? this._hass.states[this._config.co2_entity] : null;
+
+    this._priceSlots = stateObj ? this._getPriceSlots(stateObj) : [];
+    this._co2Slots = co2State ? this._getPriceSlots(co2State, CO2_VALUE_KEYS) : [];
+    this._bestPriceTime = null;
+
+    const slots = this._getOptimizationSlots();
+    if (slots.length > 0) {
+      // Forecast: search the best window for the selected program (cheapest, lowest CO2 or blend)
+      const program = this._getSelectedProgram();
+      const best = this._findCheapestStart(slots, this._getRunMinutes(program), this._now(),
+        this._getEnergyProfile(program), this._getLatestEnd());
+      if (best) {
+        this._bestPriceTime = best.start;
+      }
+    } else if (stateObj) {
+      // Legacy sensor: seconds until the cheapest moment
+      const seconds = parseFloat(stateObj.state);
+      if (isFinite(seconds) && seconds >= 0) {
+        this._bestPriceTime = new Date(this._now().getTime() + seconds * 1000);
+        const latestEnd = this._getLatestEnd();
+        const runMs = this._getRunMinutes(this._getSelectedProgram()) * 60000;
+        if (latestEnd !== null && this._bestPriceTime.getTime() + runMs > latestEnd) {
+          this._bestPriceTime = null;
+        }
+      }
+    }
+
+    this._updateSolarTime();
+    this._updateSchedulePlans();
+
+    // Wenn der Schalter aktiviert ist, setze die Startzeit auf die günstigste Zeit
+    if (this._bestPriceTime && this._config.use_best_price && this._planBy !== 'finish') {
+      this._setSelectedDateTime(this._bestPriceTime);
+    } else if (this._solarTime && this._config.use_solar && this._planBy !== 'finish') {
+      this._setSelectedDateTime(this._solarTime);
+    }
+
+    // Neue Preise verschieben den Plan: nur veröffentlichen, wenn sich die beste Zeit gegenüber
+    // der vorherigen Prognose geändert hat (nicht bei der ersten Berechnung nach dem Öffnen)
+    const bestKey = [this._bestPriceTime, this._solarTime].map((time) => (time ? time.getTime() : '')).join('|');
+    const bestChanged = this._bestKey !== undefined && bestKey !== this._bestKey;
+    this._bestKey = bestKey;
+    if (bestChanged && (this._config.use_best_price || this._config.use_solar)) {
+      this._publishPlan();
+    }
+  }
+
+  /**
+   * Problems with the price, CO2 and solar forecast entities: not found, unavailable, without a forecast, or with a
+   * forecast that has ended (e.g. the integration stopped updating). The best time toggles find no time then.
+   */
+  _getSourceWarnings() {
+    if (!this._hass) return [];
+    const now = this._now().getTime();
+    const warnings = [];
+    [
+      [this._config.price_entity, this._priceSlots],
+      [this._config.co2_entity, this._co2Slots],
+      [this._config.solar_forecast_entity, this._solarSlots],
+    ].forEach(([entityId, slots]) => {
+      if (!entityId) return;
+      const stateObj = this._hass.states[entityId];
+      if (!stateObj) {
+        warnings.push(this._t('entity_missing', { entity: entityId }));
+        return;
+      }
+      const entity = (stateObj.attributes && stateObj.attributes.friendly_name) || entityId;
+      if (slots && slots.length > 0) {
+        if (slots[slots.length - 1].end.getTime() <= now) {
+          warnings.push(this._t('data_stale', { entity }));
+        }
+      } else if (stateObj.state === 'unavailable' || stateObj.state === 'unknown') {
+        warnings.push(this._t('entity_unavailable', { entity }));
+      } else if (entityId !== this._config.price_entity || !(parseFloat(stateObj.state) >= 0)) {
+        // Nur der Preissensor darf statt einer Prognose die Sekunden bis zum günstigsten Zeitpunkt liefern
+        warnings.push(this._t('no_forecast', { entity }));
+      }
+    });
+    return warnings;
+  }
+
+  // Recalculates the start time with the lowest effective cost from the solar forecast (and grid prices)
+  _updateSolarTime() {
+    const entityId = this._config.solar_forecast_entity;
+    const stateObj = (entityId && this._hass) ? this._hass.states[entityId] : null;
+
+    this._solarSlots = stateObj ? this._getSolarSlots(stateObj) : [];
+    this._solarTime = null;
+
+    const program = this._getSelectedProgram();
+    const slots = this._getEffectiveSlots();
+    if (slots.length > 0) {
+      const best = this._findCheapestStart(slots, this._getRunMinutes(program), this._now(),
+        this._getEnergyProfile(program), this._getLatestEnd());
+      if (best) {
+        this._solarTime = best.start;
+      }
+    }
+  }
+
+  // Recurring plans from the "schedules" config, e.g. { program: "Eco", finish_by: "06:30", days: [mon, tue] }
+  _getSchedules() {
+    return Array.isArray(this._config.schedules) ? this._config.schedules : [];
+  }
+
+  // Recalculates the next run of every schedule, e.g. when new prices arrive. Sorted by start.
+  _updateSchedulePlans() {
+    const now = this._now();
+    this._schedulePlans = this._getSchedules()
+      .map((schedule, index) => this._planSchedule(schedule, index, now))
+      .filter((plan) => plan !== null)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Next run of a schedule within max_days: { index, name, programIndex, start, end, deadline, optimized, key }.
+   * With finish_by, the start is the best time (cheapest, lowest CO2 or blend, as the best time toggle) that finishes
+   * by the deadline, or the latest start without a forecast or with best_price: false. Null if there is none.
+   */
+  _planSchedule(schedule, index, now) {
+    const programs = this._getPrograms();
+    const programIndex = schedule.program !== undefined
+      ? programs.findIndex((program) => program.name === schedule.program || program.option === schedule.program)
+      : this._selectedProgram;
+    const program = programs[programIndex] || null;
+    if (schedule.program !== undefined && !program) return null;
+
+    const runMs = this._getRunMinutes(program) * 60000;
+    const minutes = this._parseTimeOfDay(schedule.finish_by !== undefined ? schedule.finish_by : schedule.start_at);
+    const today = this._getZonedParts(now);
+    for (let day = 0; day <= this._getMaxDays(); day++) {
+      const time = this._fromZonedParts({ year: today.year, month: today.month, day: today.day + day, minute: minutes });
+      if (!this._isScheduleDay(schedule, time)) continue;
+
+      const plan = { index, name: schedule.name || (program ? program.name : ''), programIndex, deadline: null, optimized: false };
+      if (schedule.finish_by !== undefined) {
+        if (time.getTime() - runMs < now.getTime()) continue;
+        plan.deadline = time;
+        plan.start = new Date(time.getTime() - runMs);
+        const slots = schedule.best_price !== false ? this._getOptimizationSlots() : [];
+        if (slots.length > 0) {
+          const best = this._findCheapestStart(slots, this._getRunMinutes(program), now, this._getEnergyProfile(program),
+            time.getTime(), program);
+          if (best) {
+            plan.start = best.start;
+            plan.optimized = true;
+          }
+        }
+      } else {
+        if (time <= now) continue;
+        plan.start = time;
+      }
+      plan.end = new Date(plan.start.getTime() + runMs);
+      // Erkennt den Lauf wieder, auch wenn neue Preise den Start verschieben
+      plan.key = index + ':' + (plan.deadline || plan.start).getTime();
+      return plan;
+    }
+    return null;
+  }
+
+  // Whether the schedule runs on the day of the given date ("days", in the time zone of the card)
+  _isScheduleDay(schedule, date) {
+    if (!Array.isArray(schedule.days)) return true;
+    const parts = this._getZonedParts(date);
+    const weekday = WEEKDAYS[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+    return schedule.days.some((day) => String(day).toLowerCase().slice(0, 3) === weekday);
+  }
+
+  // While the selection follows the schedules, selects the next run once the current one has started or is gone
+  _followSchedule() {
+    if (!this._followingSchedule || !this._schedulePlans) return;
+    const next = this._schedulePlans[0];
+    if (next && next.key !== this._appliedScheduleKey) {
+      this._applySchedulePlan(next, false);
+    }
+  }
+
+  /**
+   * Selects the program and time of a schedule run: the deadline with the best time toggle when planning by finish
+   * time, otherwise the start. The selection then follows the schedules until it is changed by hand.
+   * Only a run chosen by the user (chosen = true) sets program_entity, is saved and published; applying the next run
+   * on load or when the previous one has started changes nothing outside the card.
+   */
+  _applySchedulePlan(plan, chosen) {
+    const schedule = this._getSchedules()[plan.index];
+    this._selectedProgram = plan.programIndex;
+    if (chosen) {
+      this._writeProgramEntity();
+    }
+    this._config.use_solar = false;
+    if (plan.deadline) {
+      this._planBy = 'finish';
+      this._config.use_best_price = schedule.best_price !== false && !!(this._config.price_entity || this._config.co2_entity);
+      this._setSelectedDateTime(plan.deadline);
+    } else {
+      this._planBy = 'start';
+      this._config.use_best_price = false;
+      this._setSelectedDateTime(plan.start);
+    }
+    this._updateBestPrice();
+    if (chosen) {
+      this._selectionChanged();
+    } else {
+      // Karte mit mehreren Geräten plant die folgenden Geräte trotzdem neu
+      this.dispatchEvent(new CustomEvent('plan-changed'));
+    }
+    this._followingSchedule = true;
+    this._appliedScheduleKey = plan.key;
+  }
+
+  /**
+   * Reads the PV forecast from the attributes of the solar forecast entity.
+   * Supports Solcast (detailedForecast/detailedHourly with pv_estimate in kW), Forecast.Solar style
+   * "watts" ({ timestamp: W }) and generic forecast lists. Returns slots sorted by start: [{ start, end, watts }].
+   */
+  _getSolarSlots(stateObj) {
+    const attributes = stateObj.attributes || {};
+    const slots = [];
+
+    ['detailedForecast', 'detailedHourly', 'forecast'].forEach((key) => {
+      if (!Array.isArray(attributes[key])) return;
+      attributes[key].forEach((item) => {
+        if (!item || typeof item !== 'object') return;
+        const start = new Date(item.period_start || item.start || item.datetime);
+        let watts = parseFloat(item.watts !== undefined ? item.watts : item.power);
+        if (isNaN(watts) && item.pv_estimate !== undefined) {
+          // Solcast liefert kW
+          watts = parseFloat(item.pv_estimate) * 1000;
+        }
+        if (isNaN(start.getTime()) || isNaN(watts)) return;
+        slots.push({ start, end: item.end ? new Date(item.end) : null, watts });
+      });
+    });
+
+    if (attributes.watts && typeof attributes.watts === 'object' && !Array.isArray(attributes.watts)) {
+      Object.keys(attributes.watts).forEach((key) => {
+        const start = new Date(key);
+        const watts = parseFloat(attributes.watts[key]);
+        if (!isNaN(start.getTime()) && !isNaN(watts)) {
+          slots.push({ start, end: null, watts });
+        }
+      });
+    }
+
+    slots.sort((a, b) => a.start - b.start);
+
+    // Fehlende Enden: bis zum nächsten Wert, der letzte gilt so lange wie der vorherige
+    const result = [];
+    slots.forEach((slot, index) => {
+      if (result.length > 0 && result[result.length - 1].start.getTime() === slot.start.getTime()) return;
+      if (!slot.end || isNaN(slot.end.getTime())) {
+        const next = slots[index + 1];
+        const previous = result[result.length - 1];
+        const length = previous ? slot.start - previous.start : 3600000;
+        slot.end = next ? next.start : new Date(slot.start.getTime() + Math.min(length, 3600000));
+      }
+      result.push(slot);
+    });
+    return result;
+  }
+
+  // Power draw of the program in W: "power" of the program or appliance, or the average from its energy
+  _getProgramPower(program) {
+    const power = parseFloat((program && program.power !== undefined) ? program.power : this._config.power);
+    if (!isNaN(power) && power > 0) return power;
+    const runMinutes = this._getRunMinutes(program);
+    const energy = program ? parseFloat(program.energy) : NaN;
+    if (!isNaN(energy) && runMinutes > 0) return energy * 60000 / runMinutes;
+    return null;
+  }
+
+  /**
+   * Effective price per kWh of the program when it runs on solar as far as the forecast covers its power draw:
+   * grid price for the share from the grid and solar_feed_in_price (default 0) for the solar share.
+   * Without grid prices, the grid share costs 1, so the cheapest window has the highest self-consumption.
+   * Returns price slots ([{ start, end, price, solarShare }]) for _findCheapestStart; empty without solar forecast or power.
+   */
+  _getEffectiveSlots() {
+    const power = this._getProgramPower(this._getSelectedProgram());
+    if (this._solarSlots.length === 0 || !power) return [];
+
+    const hasPrices = this._priceSlots.length > 0;
+    const feedIn = parseFloat(this._config.solar_feed_in_price) || 0;
+
+    return this._mergeSlots(hasPrices ? this._priceSlots : this._solarSlots, [this._priceSlots, this._solarSlots], (from, to) => {
+      const grid = hasPrices ? this._averagePrice(this._priceSlots, from, to) : 1;
+      if (grid === null) return null;
+      // Lücken in der PV-Prognose (z.B. nachts) zählen als 0 W
+      const solar = this._solarSlots.find((slot) => slot.start.getTime() <= from && from < slot.end.getTime());
+      const solarShare = Math.min(1, (solar ? solar.watts : 0) / power);
+      return { price: grid * (1 - solarShare) + feedIn * solarShare, solarShare };
+    });
+  }
+
+  /**
+   * Splits the time range of the reference slots at the boundaries of all given slot lists and returns a slot
+   * for each part with the fields returned by valueOf(from, to). Parts for which it returns null are left out.
+   */
+  _mergeSlots(reference, lists, valueOf) {
+    const first = reference[0].start.getTime();
+    const last = reference[reference.length - 1].end.getTime();
+
+    const boundaries = new Set([first, last]);
+    lists.forEach((slots) => {
+      slots.forEach((slot) => {
+        [slot.start.getTime(), slot.end.getTime()].forEach((time) => {
+          if (time > first && time < last) boundaries.add(time);
+        });
+      });
+    });
+    const times = Array.from(boundaries).sort((a, b) => a - b);
+
+    const result = [];
+    for (let i = 0; i < times.length - 1; i++) {
+      const value = valueOf(times[i], times[i + 1]);
+      if (value !== null) {
+        result.push(Object.assign({ start: new Date(times[i]), end: new Date(times[i + 1]) }, value));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Slots the best time toggle optimizes for, depending on the optimization target: price slots ("price"),
+   * carbon intensity slots ("co2") or a blend of both, each scaled to 0..1 over the forecast and weighted with
+   * co2_weight ("blend"). Falls back to the data that is available.
+   */
+  _getOptimizationSlots() {
+    const prices = this._priceSlots;
+    const co2 = this._co2Slots;
+    if (this._optimize === 'co2' && co2.length > 0) return co2;
+    if (this._optimize !== 'blend' || co2.length === 0 || prices.length === 0) {
+      return prices.length > 0 ? prices : co2;
+    }
+
+    const weight = this._config.co2_weight !== undefined ? parseFloat(this._config.co2_weight) : 0.5;
+    const scale = (slots) => {
+      const values = slots.map((slot) => slot.price);
+      const min = Math.min(...values);
+      const range = Math.max(...values) - min;
+      return (value) => (range > 0 ? (value - min) / range : 0);
+    };
+    const scalePrice = scale(prices);
+    const scaleCo2 = scale(co2);
+
+    return this._mergeSlots(prices, [prices, co2], (from, to) => {
+      const price = this._averagePrice(prices, from, to);
+      const intensity = this._averagePrice(co2, from, to);
+      if (price === null || intensity === null) return null;
+      return { price: (1 - weight) * scalePrice(price) + weight * scaleCo2(intensity) };
+    });
+  }
+
+  // Expected emissions (g CO2) of the selected program started at the given time; null if unknown
+  _estimateCo2(start) {
+    const profile = this._getEnergyProfile(this._getSelectedProgram());
+    if (!profile || this._co2Slots.length === 0) return null;
+    return this._profileCost(this._co2Slots, profile, start.getTime());
+  }
+
+  _formatCo2(grams) {
+    const format = (value, digits) => new Intl.NumberFormat(this._getLocale(), { maximumFractionDigits: digits }).format(value);
+    return grams >= 1000 ? format(grams / 1000, 1) + ' kg CO₂' : format(Math.round(grams), 0) + ' g CO₂';
+  }
+
+  // Share of the program energy covered by the solar forecast when started at the given time; null if unknown
+  _estimateSolarShare(start) {
+    const slots = this._getEffectiveSlots();
+    if (slots.length === 0) return null;
+    const program = this._getSelectedProgram();
+    const runMinutes = this._getRunMinutes(program);
+    const profile = this._getEnergyProfile(program) || [{ from: 0, to: runMinutes, energy: 1 }];
+    const shareSlots = slots.map((slot) => ({ start: slot.start, end: slot.end, price: slot.solarShare }));
+    const energy = profile.reduce((sum, phase) => sum + phase.energy, 0);
+    const share = this._profileCost(shareSlots, profile, start.getTime());
+    return share === null || energy <= 0 ? null : share / energy;
+  }
+
+  /**
+   * Reads the price forecast from the attributes of the price entity.
+   * Supports Nordpool (raw_today/raw_tomorrow), EPEX Spot (data), Tibber-style (today/tomorrow)
+   * and generic forecast lists. Returns slots sorted by start: [{ start: Date, end: Date, price: Number }].
+   * With other valueKeys, reads other forecasts in the same format (e.g. carbon intensity).
+   */
+  _getPriceSlots(stateObj, valueKeys = PRICE_VALUE_KEYS) {
+    const attributes = stateObj.attributes || {};
+    const items = [];
+    ['raw_today', 'raw_tomorrow', 'today', 'tomorrow', 'forecast', 'prices', 'data'].forEach((key) => {
+      if (Array.isArray(attributes[key])) {
+        attributes[key].forEach((item) => {
+          if (item && typeof item === 'object') items.push(item);
+        });
+      }
+    });
+
+    const pick = (item, keys) => {
+      for (const key of keys) {
+        if (item[key] !== undefined && item[key] !== null) return item[key];
+      }
+      return undefined;
+    };
+
+    const slots = [];
+    items.forEach((item) => {
+      const start = new Date(pick(item, ['start', 'start_time', 'startsAt', 'from', 'datetime', 'hour']));
+      const endValue = pick(item, ['end', 'end_time', 'endsAt', 'till', 'to']);
+      const price = parseFloat(pick(item, valueKeys));
+      if (isNaN(start.getTime()) || isNaN(price)) return;
+      slots.push({ start, end: endValue !== undefined ? new Date(endValue) : null, price });
+    });
+
+    slots.sort((a, b) => a.start - b.start);
+
+    // Remove duplicates and fill in missing end times (next slot start, or one hour)
+    const result = [];
+    slots.forEach((slot, index) => {
+      if (result.length > 0 && result[result.length - 1].start.getTime() === slot.start.getTime()) return;
+      if (!slot.end || isNaN(slot.end.getTime())) {
+        const next = slots[index + 1];
+        slot.end = next ? next.start : new Date(slot.start.getTime() + 3600000);
+      }
+      result.push(slot);
+    });
+    return result;
+  }
+
+  // Time-weighted average price between from and to (ms); null if the range is not fully covered
+  _averagePrice(slots, from, to) {
+    if (to <= from) {
+      const slot = slots.find((s) => s.start.getTime() <= from && from < s.end.getTime());
+      return slot ? slot.price : null;
+    }
+    let covered = 0;
+    let sum = 0;
+    slots.forEach((slot) => {
+      const overlap = Math.min(to, slot.end.getTime()) - Math.max(from, slot.start.getTime());
+      if (overlap > 0) {
+        covered += overlap;
+        sum += slot.price * overlap;
+      }
+    });
+    if (covered < to - from) return null;
+    return sum / covered;
+  }
+
+  /**
+   * Energy profile of a program as phases relative to the program start: [{ from, to, energy }] (minutes, kWh).
+   * Programs either define a total "energy" (spread evenly over the run time) or a list of "phases"
+   * with duration and energy each. Returns null if the program has no energy information.
+   */
+  _getEnergyProfile(program) {
+    if (!program) return null;
+    const runMinutes = this._getRunMinutes(program);
+
+    if (Array.isArray(program.phases) && program.phases.length > 0) {
+      const defaultDuration = runMinutes / program.phases.length;
+      const profile = [];
+      let from = 0;
+      program.phases.forEach((phase) => {
+        const duration = phase.duration !== undefined ? parseFloat(phase.duration) : defaultDuration;
+        profile.push({ name: phase.name, from, to: from + duration, energy: parseFloat(phase.energy) || 0 });
+        from += duration;
+      });
+      return profile;
+    }
+
+    const energy = parseFloat(program.energy);
+    if (!isNaN(energy)) {
+      return [{ from: 0, to: runMinutes, energy }];
+    }
+    return null;
+  }
+
+  // Price weighted with the energy profile for a program started at startMs; null if not covered by price data
+  _profileCost(slots, profile, startMs) {
+    let cost = 0;
+    for (const phase of profile) {
+      const average = this._averagePrice(slots, startMs + phase.from * 60000, startMs + phase.to * 60000);
+      if (average === null) return null;
+      cost += average * phase.energy;
+    }
+    return cost;
+  }
+
+  /**
+   * Finds the start time with the lowest average price over runMinutes, weighted with the
+   * energy profile if one is given. The optimum of a piecewise constant price always has a phase
+   * boundary on a slot boundary, so only those candidates (plus "now") need to be checked.
+   * With latestEnd (ms), the program has to finish by then. The rules are checked for the given program (default: the selected one).
+   * If the program has a preferred_window, a run within it is preferred to a cheaper one outside of it.
+   */
+  _findCheapestStart(slots, runMinutes, now, profile, latestEnd, program = this._getSelectedProgram()) {
+    if (slots.length === 0) return null;
+    const runMs = runMinutes * 60000;
+    const nowMs = Math.ceil(now.getTime() / 60000) * 60000;
+    let lastEnd = slots[slots.length - 1].end.getTime();
+    if (latestEnd !== undefined && latestEnd !== null) {
+      lastEnd = Math.min(lastEnd, latestEnd);
+    }
+    const phases = (profile && profile.length > 0) ? profile : [{ from: 0, to: runMinutes, energy: 1 }];
+    const totalEnergy = phases.reduce((sum, phase) => sum + phase.energy, 0) || 1;
+
+    const offsets = [];
+    phases.forEach((phase) => {
+      offsets.push(phase.from * 60000, phase.to * 60000);
+    });
+
+    const candidates = [nowMs];
+    slots.forEach((slot) => {
+      offsets.forEach((offset) => {
+        candidates.push(slot.start.getTime() - offset);
+        candidates.push(slot.end.getTime() - offset);
+      });
+    });
+    // Spätestmöglicher Start vor der Deadline
+    candidates.push(lastEnd - runMs);
+    // Direkt vor oder nach den Laufzeiten anderer Geräte starten
+    (this._blockedWindows || []).forEach((window) => {
+      candidates.push(window.end.getTime());
+      candidates.push(window.start.getTime() - runMs);
+    });
+    // Ruhezeiten und latest_end einmal für den ganzen Suchbereich, nicht für jeden Kandidaten
+    const rules = this._getRuleWindows(nowMs, lastEnd);
+    // Laute Phasen direkt vor oder nach den Ruhezeiten
+    const noisyPhases = this._getNoisyPhases(program);
+    rules.quiet.forEach((window) => {
+      noisyPhases.forEach((phase) => {
+        candidates.push(window.end - phase.from * 60000);
+        candidates.push(window.start - phase.to * 60000);
+      });
+    });
+    // Spätestmöglicher Start vor latest_end
+    rules.latestEnds.forEach((end) => {
+      candidates.push(end - runMs);
+    });
+    // Bevorzugtes Zeitfenster des Programms: Start am Anfang oder Ende am Ende des Fensters
+    const preferred = this._getPreferredWindow(program);
+    const preferredWindows = preferred ? this._getDailyWindows(nowMs, lastEnd, [preferred]) : [];
+    preferredWindows.forEach((window) => {
+      candidates.push(window.start);
+      candidates.push(window.end - runMs);
+    });
+
+    const search = (accept) => {
+      let best = null;
+      candidates.forEach((start) => {
+        if (start < nowMs || start + runMs > lastEnd || !accept(start)) return;
+        if (!this._isWindowAllowed(start, start + runMs, program, rules)) return;
+        const cost = this._profileCost(slots, phases, start);
+        if (cost === null) return;
+        const average = cost / totalEnergy;
+        if (!best || average < best.average || (average === best.average && start < best.start.getTime())) {
+          best = { start: new Date(start), average };
+        }
+      });
+      return best;
+    };
+    // Läufe im bevorzugten Fenster zuerst, sonst der beste Start überhaupt
+    const inPreferred = preferred
+      ? search((start) => preferredWindows.some((window) => window.start <= start && start + runMs <= window.end))
+      : null;
+    return inPreferred || search(() => true);
+  }
+
+  // Daily window the program should preferably run in ({ from, to } in minutes since midnight), or null
+  _getPreferredWindow(program) {
+    return program && program.preferred_window !== undefined ? this._parseTimeWindow(program.preferred_window) : null;
+  }
+
+  // Estimated energy cost for the selected program started at the given time; null if unknown.
+  // With a solar forecast, the share covered by solar is charged at solar_feed_in_price.
+  _estimateCost(start) {
+    const profile = this._getEnergyProfile(this._getSelectedProgram());
+    if (!profile || this._priceSlots.length === 0) return null;
+    const effectiveSlots = this._getEffectiveSlots();
+    const slots = effectiveSlots.length > 0 ? effectiveSlots : this._priceSlots;
+    return this._profileCost(slots, profile, start.getTime());
+  }
+
+  // Currency for cost display: config "currency" or the unit of the price entity (e.g. "EUR/kWh" -> "EUR")
+  _getCostUnit() {
+    if (this._config.currency) return this._config.currency;
+    const stateObj = this._hass ? this._hass.states[this._config.price_entity] : null;
+    const unit = stateObj && stateObj.attributes ? stateObj.attributes.unit_of_measurement : null;
+    return unit ? unit.split('/')[0] : '';
+  }
+
+  _formatCost(cost) {
+    const unit = this._getCostUnit();
+    const value = new Intl.NumberFormat(this._getLocale(), { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(cost);
+    return value + (unit ? ' ' + unit : '');
+  }
+
+  // Price slots shown in the chart: today and tomorrow (everything from midnight on)
+  _getChartSlots() {
+    const today = this._getZonedParts(this._now());
+    const startOfToday = this._fromZonedParts({ year: today.year, month: today.month, day: today.day });
+    return this._priceSlots.filter((slot) => slot.end > startOfToday);
+  }
+
+  // Price chart with the selected run window and the cheapest window. Dragging sets the start time.
+  _buildChart(content) {
+    const chart = document.createElement('div');
+    chart.className = 'chart';
+    const labels = document.createElement('div');
+    labels.className = 'chart-labels';
+
+    const selectFromPointer = (e) => {
+      const bounds = chart.getBoundingClientRect();
+      if (!this._chartEls || !bounds.width) return;
+      const { rangeStart, rangeEnd } = this._chartEls;
+      const fraction = Math.min(1, Math.max(0, (e.clientX - bounds.left) / bounds.width));
+      this._selectChartTime(new Date(rangeStart + fraction * (rangeEnd - rangeStart)));
+    };
+    chart.addEventListener('pointerdown', (e) => {
+      this._dragging = true;
+      if (chart.setPointerCapture) chart.setPointerCapture(e.pointerId);
+      selectFromPointer(e);
+    });
+    chart.addEventListener('pointermove', (e) => {
+      if (this._dragging) selectFromPointer(e);
+    });
+    const endDrag = () => {
+      if (!this._dragging) return;
+      this._dragging = false;
+      this._selectionChanged();
+      this._render();
+    };
+    chart.addEventListener('pointerup', endDrag);
+    chart.addEventListener('pointercancel', endDrag);
+
+    content.appendChild(chart);
+    content.appendChild(labels);
+
+    // Balken nur neu zeichnen, wenn sich die Preise geändert haben
+    let slotsKey = null;
+    this._chartEls = null;
+    this._updaters.push(() => {
+      const slots = this._config.show_chart !== false ? this._getChartSlots() : [];
+      const key = slots.map((slot) => slot.start.getTime() + ':' + slot.end.getTime() + ':' + slot.price).join(',');
+      if (key !== slotsKey) {
+        slotsKey = key;
+        this._drawChart(chart, labels, slots);
+      }
+      chart.style.display = slots.length > 0 ? '' : 'none';
+      labels.style.display = slots.length > 0 ? '' : 'none';
+      this._updateChartSelection();
+    });
+  }
+
+  // Draws the price bars and creates the markers for the run window, the cheapest window and now
+  _drawChart(chart, labels, slots) {
+    chart.innerHTML = '';
+    labels.innerHTML = '';
+    if (slots.length === 0) {
+      this._chartEls = null;
+      return;
+    }
+
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const rangeStart = slots[0].start.getTime();
+    const rangeEnd = slots[slots.length - 1].end.getTime();
+    const toX = (time) => ((time - rangeStart) / (rangeEnd - rangeStart)) * 100;
+
+    const prices = slots.map((slot) => slot.price);
+    const minPrice = Math.min(0, ...prices);
+    const maxPrice = Math.max(...prices);
+    const priceRange = (maxPrice - minPrice) || 1;
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    slots.forEach((slot) => {
+      const bar = document.createElementNS(svgNs, 'rect');
+      const height = Math.max(2, ((slot.price - minPrice) / priceRange) * 100);
+      bar.setAttribute('class', 'chart-bar');
+      bar.setAttribute('x', toX(slot.start.getTime()));
+      bar.setAttribute('width', Math.max(0, toX(slot.end.getTime()) - toX(slot.start.getTime()) - 0.15));
+      bar.setAttribute('y', 100 - height);
+      bar.setAttribute('height', height);
+      const title = document.createElementNS(svgNs, 'title');
+      title.textContent = this._formatClock(slot.start) + ': ' + slot.price;
+      bar.appendChild(title);
+      svg.appendChild(bar);
+    });
+
+    const createRect = (className) => {
+      const rect = document.createElementNS(svgNs, 'rect');
+      rect.setAttribute('class', className);
+      rect.setAttribute('y', 0);
+      rect.setAttribute('height', 100);
+      svg.appendChild(rect);
+      return rect;
+    };
+    const createLine = (className) => {
+      const line = document.createElementNS(svgNs, 'line');
+      line.setAttribute('class', className);
+      line.setAttribute('y1', 0);
+      line.setAttribute('y2', 100);
+      svg.appendChild(line);
+      return line;
+    };
+
+    const bestRect = createRect('chart-best');
+    const nowLine = createLine('chart-now');
+    const runRect = createRect('chart-run');
+    const startLine = createLine('chart-start');
+    chart.appendChild(svg);
+
+    // Stundenbeschriftung alle 6 Stunden
+    const first = this._getZonedParts(rangeStart);
+    let tick = this._fromZonedParts({ year: first.year, month: first.month, day: first.day, hour: first.hour }).getTime();
+    for (; tick <= rangeEnd; tick += 3600000) {
+      const parts = this._getZonedParts(tick);
+      if (tick >= rangeStart && parts.hour % 6 === 0 && parts.minute === 0) {
+        const label = document.createElement('span');
+        label.style.left = toX(tick) + '%';
+        label.textContent = this._formatClock(new Date(tick));
+        labels.appendChild(label);
+      }
+    }
+
+    this._chartEls = { runRect, startLine, nowLine, bestRect, toX, rangeStart, rangeEnd };
+  }
+
+  // Moves the run window, start marker, cheapest window and now marker in the chart
+  _updateChartSelection() {
+    if (!this._chartEls) return;
+    const { runRect, startLine, nowLine, bestRect, toX } = this._chartEls;
+    const nowX = toX(this._now().getTime());
+    nowLine.setAttribute('x1', nowX);
+    nowLine.setAttribute('x2', nowX);
+
+    const program = this._getSelectedProgram();
+    const runMs = this._getRunMinutes(program) * 60000;
+    const start = this._getTargetTime().getTime();
+    // Laufzeit in der Farbe des Programms
+    runRect.style.fill = (program && program.color) || '';
+    runRect.setAttribute('x', toX(start));
+    runRect.setAttribute('width', Math.max(0, toX(start + runMs) - toX(start)));
+    startLine.setAttribute('x1', toX(start));
+    startLine.setAttribute('x2', toX(start));
+
+    if (this._bestPriceTime && this._priceSlots.length > 0) {
+      const bestStart = this._bestPriceTime.getTime();
+      bestRect.setAttribute('x', toX(bestStart));
+      bestRect.setAttribute('width', Math.max(0.3, toX(bestStart + runMs) - toX(bestStart)));
+      bestRect.style.display = '';
+    } else {
+      bestRect.style.display = 'none';
+    }
+  }
+
+  // Sets the start time from a position in the chart, snapped to ui_time_step
+  _selectChartTime(time) {
+    const stepMs = this._config.ui_time_step * 60000;
+    let snapped = Math.round(time.getTime() / stepMs) * stepMs;
+    const now = this._now().getTime();
+    if (snapped < now) {
+      snapped = Math.ceil(now / stepMs) * stepMs;
+    }
+    this._setSelectedDateTime(new Date(snapped));
+
+    // Speichere die manuelle Zeiteinstellung
+    this._lastManualHour = this._selectedHour;
+    this._lastManualMinute = this._selectedMinute;
+    this._lastManualDay = this._selectedDay;
+    this._config.use_best_price = this._isSelectedTimeBestPrice();
+    this._render();
+  }
+
+  // Estimated cost at the selected start time, cost when started now and the savings
+  _buildCostRows(content) {
+    const createRow = (label) => {
+      const row = document.createElement('div');
+      row.className = 'row cost-row';
+      const name = document.createElement('div');
+      name.className = 'name';
+      name.textContent = label;
+      const state = document.createElement('div');
+      state.className = 'state';
+      row.appendChild(name);
+      row.appendChild(state);
+      content.appendChild(row);
+      return { row, state };
+    };
+
+    const selectedRow = createRow(this._t('estimated_cost'));
+    const nowRow = createRow(this._t('cost_now'));
+    const savingsRow = createRow(this._t('savings'));
+    const solarRow = createRow(this._t('solar_share'));
+
+    this._updaters.push(() => {
+      const solarShare = this._estimateSolarShare(this._getPlan().start);
+      solarRow.row.style.display = solarShare !== null ? '' : 'none';
+      if (solarShare !== null) {
+        solarRow.state.textContent = Math.round(solarShare * 100) + ' %';
+      }
+    });
+
+    this._updaters.push(() => {
+      const selectedCost = this._estimateCost(this._getPlan().start);
+      const nowCost = selectedCost !== null ? this._estimateCost(this._now()) : null;
+
+      selectedRow.row.style.display = selectedCost !== null ? '' : 'none';
+      nowRow.row.style.display = nowCost !== null ? '' : 'none';
+      savingsRow.row.style.display = nowCost !== null ? '' : 'none';
+      if (selectedCost === null) return;
+
+      selectedRow.state.textContent = this._formatCost(selectedCost);
+      if (nowCost !== null) {
+        const savings = nowCost - selectedCost;
+        nowRow.state.textContent = this._formatCost(nowCost);
+        savingsRow.state.textContent = this._formatCost(savings);
+        savingsRow.state.classList.toggle('savings-positive', savings > 0);
+      }
+    });
+  }
+
+  // Current plan: actual start and end of the program run after rounding, timer delay and program
+  _getPlan() {
+    const delay = this._computeDelayInfo();
+    return {
+      start: delay.start,
+      end: delay.end,
+      delayMinutes: delay.delayMinutes,
+      unreachable: delay.unreachable,
+      program: this._getSelectedProgram(),
+    };
+  }
+
+  // Variables available in the templates of the "action" config
+  _getTemplateVariables() {
+    const plan = this._getPlan();
+    return {
+      delay_minutes: plan.delayMinutes,
+      delay_hours: plan.delayMinutes / 60,
+      delay_seconds: plan.delayMinutes * 60,
+      start_time: this._formatServerTime(plan.start),
+      end_time: this._formatServerTime(plan.end),
+      start_datetime: plan.start.toISOString(),
+      end_datetime: plan.end.toISOString(),
+      program: plan.program ? plan.program.name : '',
+      program_index: this._selectedProgram,
+      duration: plan.program ? parseInt(plan.program.duration) : 0,
+      use_best_price: !!this._config.use_best_price,
+      use_solar: !!this._config.use_solar,
+      plan_by: this._planBy,
+      optimize: this._optimize,
+    };
+  }
+
+  /**
+   * Replaces {{ variable }} placeholders in strings, arrays and objects.
+   * A string consisting only of one placeholder keeps the type of the value (e.g. a number).
+   */
+  _renderTemplate(value, variables) {
+    if (typeof value === 'string') {
+      const single = value.match(/^\s*\{\{\s*(\w+)\s*\}\}\s*$/);
+      if (single && variables[single[1]] !== undefined) {
+        return variables[single[1]];
+      }
+      return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+        variables[name] !== undefined ? String(variables[name]) : match
+      ));
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this._renderTemplate(item, variables));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach((key) => {
+        result[key] = this._renderTemplate(value[key], variables);
       });
+      return result;
+    }
+    return value;
+  }
+
+  // Calls the configured service with the current plan
+  _runAction() {
+    const action = this._config.action;
+    if (!this._hass || !action || !this._isRemoteStartAllowed()) return;
+
+    if (action.confirmation && !window.confirm(this._t('action_confirm'))) {
+      return;
+    }
+
+    const [domain, service] = (action.perform_action || action.service).split('.');
+    const variables = this._getTemplateVariables();
+    const data = this._renderTemplate(action.data || {}, variables);
+    const target = action.target ? this._renderTemplate(action.target, variables) : undefined;
+
+    this._hass.callService(domain, service, data, target)
+      .then(() => this._setActionStatus('success', this._t('action_success')))
+      .catch((err) => this._setActionStatus('error', (err && err.message) || this._t('action_failed')));
+  }
+
+  _setActionStatus(type, message) {
+    this._actionStatus = { type, message };
+    this._render();
+    clearTimeout(this._actionStatusTimeout);
+    this._actionStatusTimeout = setTimeout(() => {
+      this._actionStatus = null;
+      this._render();
+    }, 5000);
+  }
+
+  // "Set timer" / "Start" button for the configured service call
+  _buildActionRow(content) {
+    const actionRow = document.createElement('div');
+    actionRow.className = 'row action-row';
+
+    const status = document.createElement('div');
+    status.className = 'name action-status';
+
+    const button = this._createButton('', () => this._runAction());
+    button.className = 'action-button';
+
+    actionRow.appendChild(status);
+    actionRow.appendChild(button);
+    content.appendChild(actionRow);
+
+    this._updaters.push(() => {
+      const remoteStart = this._isRemoteStartAllowed();
+      button.disabled = !remoteStart;
+      if (this._actionStatus) {
+        status.className = 'name action-status ' + this._actionStatus.type;
+        status.textContent = this._actionStatus.message;
+      } else {
+        status.className = 'name action-status' + (remoteStart ? '' : ' error');
+        status.textContent = remoteStart ? '' : this._t('remote_start_disabled');
+      }
+      button.textContent = this._config.action.label
+        || (this._computeDelay() <= 0 ? this._t('action_start') : this._t('action_set_timer'));
+    });
+  }
+
+  /**
+   * Localization helper. Looks the text up in the "labels" config, then in the translations of the user's language
+   * (e.g. "pt-BR", then "pt"), then in English. {name} placeholders are replaced with the given variables.
+   */
+  _t(textKey, variables) {
+    const labels = this._config && this._config.labels;
+    if (labels && typeof labels[textKey] === 'string') {
+      return fillPlaceholders(labels[textKey], variables);
+    }
+    return translate(this._language, textKey, variables);
+  }
+
+  // Locale for dates and numbers: the language of the Home Assistant user
+  _getLocale() {
+    return this._language || undefined;
+  }
+
+  // Whether times are shown with AM/PM: time_format of the user profile, otherwise the default of the language
+  _uses12h() {
+    const timeFormat = this._hass && this._hass.locale ? this._hass.locale.time_format : null;
+    if (timeFormat === '12') return true;
+    if (timeFormat === '24') return false;
+    const locale = timeFormat === 'system' ? undefined : this._getLocale();
+    const hourCycle = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hourCycle;
+    return hourCycle === 'h11' || hourCycle === 'h12';
+  }
+
+  // Time of day for display, e.g. "14:30" or "2:30 PM"
+  _formatClock(date) {
+    const hour12 = this._uses12h();
+    const options = { hour: hour12 ? 'numeric' : '2-digit', minute: '2-digit', hourCycle: hour12 ? 'h12' : 'h23',
+      timeZone: this._getTimeZone() };
+    return new Intl.DateTimeFormat(this._getLocale(), options).format(date);
+  }
+
+  // Status of the appliance and, while it is running, the progress of the program instead of the planning
+  _buildStatusSection(content) {
+    const statusRow = document.createElement('div');
+    statusRow.className = 'row status-row';
+
+    const statusLabel = document.createElement('div');
+    statusLabel.className = 'name';
+    statusLabel.textContent = this._t('status');
+
+    const statusValue = document.createElement('div');
+    statusValue.className = 'state';
+
+    statusRow.appendChild(statusLabel);
+    statusRow.appendChild(statusValue);
+    content.appendChild(statusRow);
+
+    const progress = document.createElement('div');
+    progress.className = 'progress';
+    const progressBar = document.createElement('div');
+    progressBar.className = 'progress-bar';
+    progress.appendChild(progressBar);
+    content.appendChild(progress);
+
+    const progressText = document.createElement('div');
+    progressText.className = 'progress-text';
+    content.appendChild(progressText);
+
+    this._updaters.push(() => {
+      const status = this._getApplianceStatus();
+      const stateObj = status ? status.stateObj : null;
+      statusValue.textContent = !stateObj ? this._t('not_available')
+        : (this._hass.formatEntityState ? this._hass.formatEntityState(stateObj) : stateObj.state);
+
+      const running = this._isApplianceRunning();
+      progress.style.display = running ? '' : 'none';
+      progressText.style.display = running ? '' : 'none';
+      if (!running) return;
+
+      const { elapsed, remaining, end, fraction } = this._getProgress();
+      progressBar.style.width = fraction !== null ? Math.round(fraction * 100) + '%' : '0';
+      const parts = [];
+      if (elapsed !== null) {
+        parts.push(this._t('elapsed') + ' ' + this._formatDuration(elapsed));
+      }
+      if (remaining !== null) {
+        parts.push(this._t('remaining') + ' ' + this._formatDuration(remaining));
+      }
+      if (end) {
+        parts.push(this._t('ends_at') + ' ' + this._formatClock(end));
+      }
+      parts.push(this._t('running_hint'));
+      progressText.textContent = parts.join(' · ');
+    });
+  }
+
+  /**
+   * Program picker: Home Assistant's ha-select with the program icons, or a native select if it is not loaded.
+   * The row shows the icon of the selected program in its color.
+   */
+  _buildProgramRow(content) {
+    const programRow = document.createElement('div');
+    programRow.className = 'row program-row';
+
+    const iconContainer = document.createElement('div');
+    iconContainer.className = 'icon-container';
+    const icon = document.createElement('ha-icon');
+    iconContainer.appendChild(icon);
+    
+    const programLabel = document.createElement('div');
+    programLabel.className = 'name program-label';
+    programLabel.textContent = this._t('select_program');
+    
+    const programContainer = document.createElement('div');
+    programContainer.className = 'state';
+    
+    const useHa = !!customElements.get('ha-select');
+    const programSelect = document.createElement(useHa ? 'ha-select' : 'select');
+    programSelect.className = 'dropdown';
+    programSelect.setAttribute('aria-label', this._t('select_program'));
+
+    const selectProgram = (value) => {
+      const index = parseInt(value);
+      // ha-select meldet auch das Setzen des Werts beim Aktualisieren
+      if (isNaN(index) || index === this._selectedProgram) return;
+      this._selectedProgram = index;
+      this._writeProgramEntity();
+      // Startzeit des Programms übernehmen, falls es eine hat
+      const program = this._getSelectedProgram();
+      if (program && program.default_time) {
+        this._applyDefaultTime();
+      }
+      // Cheapest window depends on the program duration
+      this._updateBestPrice();
+      this._selectionChanged();
+      this._render();
+    };
+    if (useHa) {
+      programSelect.fixedMenuPosition = true;
+      programSelect.naturalMenuWidth = true;
+      programSelect.addEventListener('selected', () => selectProgram(programSelect.value));
+      // Schließen des Menüs nicht an umgebende Dialoge weitergeben
+      programSelect.addEventListener('closed', (e) => e.stopPropagation());
+    } else {
+      programSelect.addEventListener('change', (e) => selectProgram(e.target.value));
+    }
+    
+    programContainer.appendChild(programSelect);
+    programRow.appendChild(iconContainer);
+    programRow.appendChild(programLabel);
+    programRow.appendChild(programContainer);
+    
+    content.appendChild(programRow);
+
+    // Optionen nur neu aufbauen, wenn sich die Programme geändert haben (z.B. Optionen der Programm-Entität)
+    let optionsKey = null;
+    this._updaters.push(() => {
+      const programs = this._getPrograms();
+      programRow.style.display = programs.length > 0 ? '' : 'none';
+      const key = JSON.stringify(programs.map((prog) => [prog.name, prog.duration, prog.icon, prog.color]));
+      if (key !== optionsKey) {
+        optionsKey = key;
+        programSelect.innerHTML = '';
+        const withIcons = programs.some((prog) => prog.icon);
+        programs.forEach((prog, index) => {
+          let text = prog.name ? prog.name : ('Program ' + (index + 1));
+          const durationMinutes = parseInt(prog.duration);
+          if (!isNaN(durationMinutes)) {
+            const hours = Math.floor(durationMinutes / 60);
+            const minutes = durationMinutes % 60;
+            const formattedDuration = ('0' + hours).slice(-2) + ':' + ('0' + minutes).slice(-2);
+            text += ' (' + formattedDuration + ')';
+          }
+          const option = document.createElement(useHa ? 'ha-list-item' : 'option');
+          option.value = String(index);
+          if (useHa && withIcons) {
+            option.setAttribute('graphic', 'icon');
+            const optionIcon = document.createElement('ha-icon');
+            optionIcon.setAttribute('slot', 'graphic');
+            optionIcon.setAttribute('icon', prog.icon || 'mdi:format-list-bulleted');
+            optionIcon.style.color = prog.color || '';
+            option.appendChild(optionIcon);
+          }
+          option.appendChild(document.createTextNode(text));
+          programSelect.appendChild(option);
+        });
+      }
+      if (programSelect.value !== String(this._selectedProgram)) {
+        programSelect.value = String(this._selectedProgram);
+      }
+      const selected = this._getSelectedProgram();
+      icon.setAttribute('icon', (selected && selected.icon) || 'mdi:format-list-bulleted');
+      iconContainer.style.color = (selected && selected.color) || '';
+    });
+  }
+
+  // Switch to start at the optimal time: "use_best_price" (cheapest grid price) or "use_solar" (solar forecast)
+  _buildOptimizeRow(content, key, iconName) {
+    const toggleRow = document.createElement('div');
+    toggleRow.className = 'row';
+    
+    const iconContainer = document.createElement('div');
+    iconContainer.className = 'icon-container';
+    const icon = document.createElement('ha-icon');
+    icon.setAttribute('icon', iconName);
+    iconContainer.appendChild(icon);
+    
+    const toggleLabel = document.createElement('div');
+    toggleLabel.className = 'name';
+    toggleLabel.textContent = this._t(key);
+    
+    const toggleContainer = document.createElement('div');
+    toggleContainer.className = 'state';
+    
+    // HA-Style Switch
+    const switchContainer = document.createElement('div');
+    switchContainer.className = 'ha-switch-container';
+    
+    const toggleSwitch = document.createElement('ha-switch');
+    
+    toggleSwitch.addEventListener('change', (e) => {
+      const optimalTime = this._getOptimalTime(key);
+      const result = switchToggle({
+        toggles: { use_best_price: this._config.use_best_price, use_solar: this._config.use_solar },
+        selection: { hour: this._selectedHour, minute: this._selectedMinute, day: this._selectedDay },
+        lastManual: { hour: this._lastManualHour, minute: this._lastManualMinute, day: this._lastManualDay },
+      }, key, e.target.checked, optimalTime ? this._getSelectionFor(optimalTime) : null, this._planBy);
+
+      this._config.use_best_price = result.toggles.use_best_price;
+      this._config.use_solar = result.toggles.use_solar;
+      this._selectedHour = result.selection.hour;
+      this._selectedMinute = result.selection.minute;
+      this._selectedDay = result.selection.day;
+      this._lastManualHour = result.lastManual.hour;
+      this._lastManualMinute = result.lastManual.minute;
+      this._lastManualDay = result.lastManual.day;
       
-      programSelect.addEventListener('blur', () => {
-        setTimeout(() => {
-          this._dropdownOpen = false;
-        }, 200);
+      this._selectionChanged();
+      this._render();
+    });
+    
+    switchContainer.appendChild(toggleSwitch);
+    toggleContainer.appendChild(switchContainer);
+    
+    toggleRow.appendChild(iconContainer);
+    toggleRow.appendChild(toggleLabel);
+    toggleRow.appendChild(toggleContainer);
+    
+    content.appendChild(toggleRow);
+
+    this._updaters.push(() => {
+      // Schalter basierend auf aktuellem Zustand setzen
+      // Solange die günstigste Zeit noch nicht bekannt ist, den Zustand beibehalten (z.B. gespeicherte Auswahl)
+      this._config[key] = isToggleOn(this._config[key], this._getSelectedTime(), this._getOptimalTime(key), this._planBy);
+      toggleLabel.textContent = this._t(key === 'use_best_price' && this._optimize !== 'price' ? 'use_best_' + this._optimize : key);
+      toggleSwitch.checked = !!this._config[key];
+    });
+  }
+
+  // Segmented selector between planning by start time and by finish time
+  _buildPlanByRow(content) {
+    const row = document.createElement('div');
+    row.className = 'row plan-by-row';
+
+    const buttons = ['start', 'finish'].map((planBy) => {
+      const button = this._createButton(this._t('plan_by_' + planBy), () => {
+        if (this._planBy === planBy) return;
+        this._planBy = planBy;
+        this._updateBestPrice();
+        this._selectionChanged();
+        this._render();
       });
-      
-      this._config.programs.forEach((prog, index) => {
-        const option = document.createElement('option');
-        option.value = index;
-        const durationMinutes = parseInt(prog.duration);
-        const hours = Math.floor(durationMinutes / 60);
-        const minutes = durationMinutes % 60;
-        const formattedDuration = ('0' + hours).slice(-2) + ':' + ('0' + minutes).slice(-2);
-        option.textContent = (prog.name ? prog.name : ('Program ' + (index + 1))) + ' (' + formattedDuration + ')';
-        if (index === this._selectedProgram) {
-          option.selected = true;
+      button.className = 'segment';
+      row.appendChild(button);
+      return { planBy, button };
+    });
+    content.appendChild(row);
+
+    this._updaters.push(() => {
+      buttons.forEach(({ planBy, button }) => {
+        button.classList.toggle('active', this._planBy === planBy);
+      });
+    });
+  }
+
+  // List of the next runs of the schedules with their start times. Choosing one selects it.
+  _buildSchedulesSection(content) {
+    const section = document.createElement('div');
+    section.className = 'schedules';
+    const heading = document.createElement('div');
+    heading.className = 'schedules-heading';
+    heading.textContent = this._t('upcoming_plans');
+    section.appendChild(heading);
+    const list = document.createElement('div');
+    list.className = 'schedule-list';
+    section.appendChild(list);
+    content.appendChild(section);
+
+    // Liste nur neu aufbauen, wenn sich die Läufe geändert haben
+    let listKey = null;
+    this._updaters.push(() => {
+      const plans = this._schedulePlans || [];
+      const items = plans.map((plan) => {
+        let text = this._formatDay(plan.start) + ' ' + this._formatClock(plan.start) + ' – ' + this._formatClock(plan.end);
+        if (plan.deadline) {
+          text += ' · ' + this._t('finish_by_time', { time: this._formatClock(plan.deadline) });
+          if (!plan.optimized && this._getSchedules()[plan.index].best_price !== false) {
+            text += ' · ' + this._t('no_price_data');
+          }
         }
-        programSelect.appendChild(option);
+        const active = this._followingSchedule && plan.key === this._appliedScheduleKey;
+        return { plan, text, active };
       });
-      
-      programSelect.addEventListener('change', (e) => {
-        this._selectedProgram = parseInt(e.target.value);
-        setTimeout(() => {
+      section.style.display = items.length > 0 ? '' : 'none';
+      const key = JSON.stringify(items.map((item) => [item.plan.name, item.text, item.active]));
+      if (key === listKey) return;
+      listKey = key;
+
+      list.innerHTML = '';
+      items.forEach(({ plan, text, active }) => {
+        const item = this._createButton('', () => {
+          this._applySchedulePlan(plan, true);
           this._render();
-        }, 100);
+        });
+        item.className = 'schedule-item' + (active ? ' active' : '');
+        item.setAttribute('aria-pressed', String(active));
+        const name = document.createElement('span');
+        name.className = 'schedule-name';
+        name.textContent = plan.name;
+        const time = document.createElement('span');
+        time.className = 'schedule-time';
+        time.textContent = text;
+        item.appendChild(name);
+        item.appendChild(time);
+        list.appendChild(item);
       });
-      
-      programContainer.appendChild(programSelect);
-      programRow.appendChild(programLabel);
-      programRow.appendChild(programContainer);
-      
-      content.appendChild(programRow);
+    });
+  }
+
+  // Segmented selector for what the best time toggle optimizes: price, CO2 or a blend of both
+  _buildOptimizeTargetRow(content) {
+    const row = document.createElement('div');
+    row.className = 'row plan-by-row';
+
+    const buttons = ['price', 'co2', 'blend'].map((target) => {
+      const button = this._createButton(this._t('optimize_' + target), () => {
+        if (this._optimize === target) return;
+        this._optimize = target;
+        this._updateBestPrice();
+        this._selectionChanged();
+        this._render();
+      });
+      button.className = 'segment';
+      row.appendChild(button);
+      return { target, button };
+    });
+    content.appendChild(row);
+
+    this._updaters.push(() => {
+      buttons.forEach(({ target, button }) => {
+        button.classList.toggle('active', this._optimize === target);
+      });
+    });
+  }
+
+  // Time selection row with clock icon
+  _buildTimeRow(content) {
+    const timeRow = document.createElement('div');
+    timeRow.className = 'row';
+    
+    const timeIconContainer = document.createElement('div');
+    timeIconContainer.className = 'icon-container';
+    const timeIcon = document.createElement('ha-icon');
+    timeIcon.setAttribute('icon', 'mdi:clock-start');
+    timeIconContainer.appendChild(timeIcon);
+    
+    const timeLabel = document.createElement('div');
+    timeLabel.className = 'name';
+    const timeLabelText = document.createTextNode('');
+    timeLabel.appendChild(timeLabelText);
+    // Tagesauswahl: heute, morgen, übermorgen, ...
+    const daySelector = document.createElement('div');
+    daySelector.className = 'day-selector';
+    const changeDay = (days) => {
+      this._shiftSelectedDay(days);
+      this._lastManualDay = this._selectedDay;
+      this._config.use_best_price = this._isSelectedTimeBestPrice();
+      this._selectionChanged();
+      this._render();
+    };
+    const dayDown = this._createButton('‹', () => changeDay(-1));
+    dayDown.setAttribute('aria-label', this._t('previous_day'));
+    const dayLabel = document.createElement('span');
+    dayLabel.className = 'day-label';
+    dayLabel.setAttribute('aria-live', 'polite');
+    const dayUp = this._createButton('›', () => changeDay(1));
+    dayUp.setAttribute('aria-label', this._t('next_day'));
+    daySelector.appendChild(dayDown);
+    daySelector.appendChild(dayLabel);
+    daySelector.appendChild(dayUp);
+    timeLabel.appendChild(daySelector);
+    // Hinweis, wenn Browser und Home Assistant in verschiedenen Zeitzonen sind
+    const zoneHint = document.createElement('div');
+    zoneHint.className = 'time-zone-hint';
+    timeLabel.appendChild(zoneHint);
+    
+    const timeContainer = document.createElement('div');
+    timeContainer.className = 'state';
+    
+    // Immer Zeitauswahl anzeigen
+    const timePicker = document.createElement('div');
+    timePicker.className = 'time-picker';
+
+    const pickerType = this._config.time_picker || 'buttons';
+    let updatePicker;
+    if (pickerType === 'buttons') {
+      const hours = this._buildSpinButton(timePicker, 'hour');
+      const minutes = this._buildSpinButton(timePicker, 'minute');
+
+      // AM/PM bei 12-Stunden-Format
+      const periodDisplay = document.createElement('div');
+      periodDisplay.className = 'time-period';
+      timePicker.appendChild(periodDisplay);
+
+      updatePicker = () => {
+        const hour12 = this._uses12h();
+        hours.update(hour12 ? String(this._selectedHour % 12 || 12) : ('0' + this._selectedHour).slice(-2));
+        minutes.update(('0' + this._selectedMinute).slice(-2));
+        periodDisplay.style.display = hour12 ? '' : 'none';
+        if (hour12) {
+          const period = new Intl.DateTimeFormat(this._getLocale(), { hour: 'numeric', hour12: true, timeZone: this._getTimeZone() })
+            .formatToParts(this._getSelectedTime()).find((part) => part.type === 'dayPeriod');
+          periodDisplay.textContent = period ? period.value : (this._selectedHour < 12 ? 'AM' : 'PM');
+        }
+      };
+    } else {
+      updatePicker = this._buildTimeInput(timePicker, pickerType);
     }
+    
+    timeContainer.appendChild(timePicker);
+    
+    timeRow.appendChild(timeIconContainer);
+    timeRow.appendChild(timeLabel);
+    timeRow.appendChild(timeContainer);
+    
+    content.appendChild(timeRow);
 
-    // Günstigste Startzeit Schalter
-    if (this._config.price_entity) {
-      const toggleRow = document.createElement('div');
-      toggleRow.className = 'row';
-      
-      const iconContainer = document.createElement('div');
-      iconContainer.className = 'icon-container';
-      const icon = document.createElement('ha-icon');
-      icon.setAttribute('icon', 'mdi:progress-clock');
-      iconContainer.appendChild(icon);
-      
-      const toggleLabel = document.createElement('div');
-      toggleLabel.className = 'name';
-      toggleLabel.textContent = this._t('use_best_price');
-      
-      const toggleContainer = document.createElement('div');
-      toggleContainer.className = 'state';
-      
-      // HA-Style Switch
-      const switchContainer = document.createElement('div');
-      switchContainer.className = 'ha-switch-container';
-      
-      const toggleSwitch = document.createElement('ha-switch');
-      
-      // Schalter basierend auf aktuellem Zustand setzen
-      toggleSwitch.checked = this._isSelectedTimeBestPrice();
-      this._config.use_best_price = toggleSwitch.checked;
-      
-      toggleSwitch.addEventListener('change', (e) => {
-        const wasChecked = this._config.use_best_price;
-        this._config.use_best_price = e.target.checked;
-        
-        if (this._config.use_best_price) {
-          // Speichere aktuelle Zeit, bevor wir zur günstigsten Zeit wechseln
-          if (!wasChecked) {
-            this._lastManualHour = this._selectedHour;
-            this._lastManualMinute = this._selectedMinute;
-          }
-          
-          // Wenn eingeschaltet, setze auf günstigste Zeit
-          if (this._bestPriceHour !== null && this._bestPriceMinute !== null) {
-            this._selectedHour = this._bestPriceHour;
-            this._selectedMinute = this._bestPriceMinute;
-          }
-        } else {
-          // Wenn ausgeschaltet, setze auf letzte manuelle Zeit zurück
-          if (this._lastManualHour !== null && this._lastManualMinute !== null) {
-            this._selectedHour = this._lastManualHour;
-            this._selectedMinute = this._lastManualMinute;
-          }
+    this._liveEls = { day: dayLabel };
+    this._updaters.push(() => {
+      const dayOffset = this._getDayOffset(this._getSelectedTime());
+      dayDown.disabled = dayOffset <= this._getFirstDay();
+      dayUp.disabled = dayOffset >= this._getMaxDays();
+      timeLabelText.textContent = this._t(this._planBy === 'finish' ? 'finish_by' : 'start_time');
+      timeIcon.setAttribute('icon', this._planBy === 'finish' ? 'mdi:clock-end' : 'mdi:clock-start');
+      updatePicker();
+      const zoneDiffers = !!this._getServerTimeZone() && this._getServerTimeZone() !== this._getBrowserTimeZone();
+      zoneHint.style.display = zoneDiffers ? '' : 'none';
+      zoneHint.textContent = zoneDiffers ? this._t('time_zone_hint', { zone: this._getTimeZone() || this._getBrowserTimeZone() }) : '';
+      // Gewählte Zeit verletzt Ruhezeiten oder latest_end
+      timePicker.classList.toggle('violation', this._planViolations.length > 0);
+    });
+  }
+
+  /**
+   * Steps the selected hour (by hours) or minute (by ui_time_step) and applies it as a manual selection.
+   * Stepping the hour past midnight moves to the next or previous day, but stops at 23 on the last selectable day
+   * (max_days) and at 00 today. Minutes wrap within the hour.
+   */
+  _stepTime(unit, steps) {
+    if (unit === 'hour') {
+      const day = this._getDayOffset(this._getSelectedTime());
+      const hour = this._selectedHour + steps;
+      const newDay = day + Math.floor(hour / 24);
+      if (newDay > this._getMaxDays()) {
+        this._selectedHour = 23;
+      } else if (newDay < 0) {
+        this._selectedHour = 0;
+      } else {
+        if (newDay !== day) {
+          this._selectedDay = newDay;
         }
-        
-        this._render();
+        this._selectedHour = ((hour % 24) + 24) % 24;
+      }
+    } else {
+      const step = this._config.ui_time_step;
+      this._selectedMinute = (((this._selectedMinute + steps * step) % 60) + 60) % 60;
+    }
+    this._applyManualTime();
+  }
+
+  // Saves the selected time as the manual time and updates the toggles, the plan and the card
+  _applyManualTime() {
+    // Speichere die manuelle Zeiteinstellung
+    this._lastManualHour = this._selectedHour;
+    this._lastManualMinute = this._selectedMinute;
+    this._lastManualDay = this._selectedDay;
+
+    // Prüfen, ob die neue Zeit der günstigsten Zeit entspricht
+    this._config.use_best_price = this._isSelectedTimeBestPrice();
+    this._selectionChanged();
+
+    this._render();
+  }
+
+  /**
+   * Hour or minute of the time picker as an ARIA spinbutton with up/down buttons.
+   * Arrow keys, PageUp/PageDown (6 hours, or one hour for minutes), Home/End and the mouse wheel change the value;
+   * holding a button repeats the step. Returns { update(text) } to show the current value.
+   */
+  _buildSpinButton(timePicker, unit) {
+    const section = document.createElement('div');
+    section.className = 'time-section';
+    const name = this._t(unit + '_label');
+
+    // Gedrückt halten wiederholt den Schritt, immer schneller
+    const createStepButton = (label, steps, ariaLabel) => {
+      const button = this._createButton(label, (e) => {
+        // Klick per Tastatur oder Screenreader (ohne Zeigergerät)
+        if (e.detail === 0) this._stepTime(unit, steps);
       });
-      
-      switchContainer.appendChild(toggleSwitch);
-      toggleContainer.appendChild(switchContainer);
-      
-      toggleRow.appendChild(iconContainer);
-      toggleRow.appendChild(toggleLabel);
-      toggleRow.appendChild(toggleContainer);
-      
-      content.appendChild(toggleRow);
+      button.setAttribute('aria-label', name + ': ' + ariaLabel);
+      button.tabIndex = -1;
+      let timeout = null;
+      const stop = () => {
+        clearTimeout(timeout);
+        timeout = null;
+      };
+      const repeat = (delay) => {
+        this._stepTime(unit, steps);
+        timeout = setTimeout(() => repeat(Math.max(60, delay * 0.8)), delay);
+      };
+      button.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        stop();
+        this._stepTime(unit, steps);
+        timeout = setTimeout(() => repeat(150), 400);
+      });
+      ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => button.addEventListener(type, stop));
+      return button;
+    };
+
+    const up = createStepButton('▲', 1, this._t('later'));
+    const display = document.createElement('div');
+    display.className = 'time-display';
+    display.tabIndex = 0;
+    display.setAttribute('role', 'spinbutton');
+    display.setAttribute('aria-label', name);
+    display.setAttribute('aria-valuemin', '0');
+    display.setAttribute('aria-valuemax', unit === 'hour' ? '23' : '59');
+    const down = createStepButton('▼', -1, this._t('earlier'));
+
+    display.addEventListener('keydown', (e) => {
+      const pageSteps = unit === 'hour' ? 6 : Math.max(1, Math.round(60 / this._config.ui_time_step));
+      const current = unit === 'hour' ? this._selectedHour : Math.floor(this._selectedMinute / this._config.ui_time_step);
+      const last = unit === 'hour' ? 23 : Math.floor(59 / this._config.ui_time_step);
+      const steps = {
+        ArrowUp: 1,
+        ArrowDown: -1,
+        PageUp: pageSteps,
+        PageDown: -pageSteps,
+        Home: -current,
+        End: last - current,
+      }[e.key];
+      if (steps === undefined) return;
+      e.preventDefault();
+      if (unit === 'minute' && (e.key === 'PageUp' || e.key === 'PageDown')) {
+        // Bei den Minuten blättert PageUp/PageDown eine Stunde weiter
+        this._stepTime('hour', steps > 0 ? 1 : -1);
+      } else if (steps !== 0) {
+        this._stepTime(unit, steps);
+      }
+    });
+    section.addEventListener('wheel', (e) => {
+      if (e.deltaY === 0) return;
+      e.preventDefault();
+      this._stepTime(unit, e.deltaY < 0 ? 1 : -1);
+    }, { passive: false });
+
+    section.appendChild(up);
+    section.appendChild(display);
+    section.appendChild(down);
+    timePicker.appendChild(section);
+
+    return {
+      update: (text) => {
+        display.textContent = text;
+        display.setAttribute('aria-valuenow', String(unit === 'hour' ? this._selectedHour : this._selectedMinute));
+        display.setAttribute('aria-valuetext', this._formatClock(this._getSelectedTime()));
+      },
+    };
+  }
+
+  /**
+   * Time field to type the time ("input") or Home Assistant's ha-time-input ("ha", falls back to a native time field
+   * if it is not loaded). The minute is snapped to ui_time_step. Returns the updater.
+   */
+  _buildTimeInput(timePicker, pickerType) {
+    const useHa = pickerType === 'ha' && customElements.get('ha-time-input');
+    const input = document.createElement(useHa ? 'ha-time-input' : 'input');
+    input.className = 'time-input';
+    if (!useHa) {
+      input.type = 'time';
+      input.step = String(this._config.ui_time_step * 60);
+    }
+    input.setAttribute('aria-label', this._t(this._planBy === 'finish' ? 'finish_by' : 'start_time'));
+
+    const apply = (value) => {
+      const minutes = this._parseTimeOfDay(value);
+      if (minutes === null) return;
+      const step = this._config.ui_time_step;
+      const snapped = Math.round(minutes / step) * step % 1440;
+      this._selectedHour = Math.floor(snapped / 60);
+      this._selectedMinute = snapped % 60;
+      this._applyManualTime();
+    };
+    if (useHa) {
+      input.addEventListener('value-changed', (e) => apply(e.detail.value));
+    } else {
+      input.addEventListener('change', (e) => apply(e.target.value));
+    }
+    timePicker.appendChild(input);
+
+    return () => {
+      const value = this._formatTime(this._selectedHour, this._selectedMinute);
+      if (useHa) {
+        input.locale = this._hass ? this._hass.locale : undefined;
+        input.value = value + ':00';
+      } else if (input.value !== value && this.shadowRoot.activeElement !== input) {
+        input.value = value;
+      }
+    };
+  }
+
+  _render() {
+    if (!this.shadowRoot) return;
+    if (this._appliances) {
+      this._renderAppliances();
+      return;
+    }
+
+    // DOM nur neu aufbauen, wenn sich Konfiguration oder Sprache geändert haben, sonst nur aktualisieren
+    if (this._builtConfig !== this._config || this._builtLanguage !== this._language) {
+      this._build();
+    }
+    // Regeln des Plans einmal prüfen, Zeitauswahl und Warnung nutzen beide das Ergebnis
+    this._planViolations = this._getRuleViolations(this._getPlan().start.getTime());
+    this._updaters.forEach((update) => update());
+  }
+
+  // Builds the card DOM once. Every section registers an updater that patches its values in _render.
+  _build() {
+    this._builtConfig = this._config;
+    this._builtLanguage = this._language;
+    this._updaters = [];
+    this.shadowRoot.innerHTML = '';
+
+    // Eingebettet in eine Karte mit mehreren Geräten: keine eigene ha-card
+    const card = document.createElement(this._embedded ? 'div' : 'ha-card');
+    card.className = this._embedded ? 'embedded' : '';
+
+    if (this._config.title) {
+      const header = document.createElement('div');
+      header.className = 'card-header';
+      header.textContent = this._config.title;
+      card.appendChild(header);
+    }
+
+    const cardContent = document.createElement('div');
+    cardContent.className = 'card-content';
+
+    // Gerätestatus und Fortschritt des laufenden Programms
+    if (this._config.status_entity) {
+      this._buildStatusSection(cardContent);
+    }
+
+    // Planung, ausgeblendet solange das Gerät läuft
+    const content = document.createElement('div');
+    content.className = 'planning';
+    cardContent.appendChild(content);
+    this._updaters.push(() => {
+      content.style.display = this._isApplianceRunning() ? 'none' : '';
+    });
+
+    // Programm-Auswahl zuerst anzeigen
+    // In "start" mode programs are optional and only used to size the cheapest price window
+    if ((this._config.programs && this._config.programs.length > 0) || this._config.program_entity) {
+      this._buildProgramRow(content);
+    }
+
+    // Auswahl: Startzeit oder Endzeit planen (auch für Zeitpläne mit finish_by)
+    if (this._config.plan_by_toggle || this._getSchedules().some((schedule) => schedule.finish_by !== undefined)) {
+      this._buildPlanByRow(content);
     }
 
-    // Time selection row with clock icon
-    const timeRow = document.createElement('div');
-    timeRow.className = 'row';
-    
-    const timeIconContainer = document.createElement('div');
-    timeIconContainer.className = 'icon-container';
-    const timeIcon = document.createElement('ha-icon');
-    timeIcon.setAttribute('icon', 'mdi:clock-start');
-    timeIconContainer.appendChild(timeIcon);
-    
-    const timeLabel = document.createElement('div');
-    timeLabel.className = 'name';
-    timeLabel.textContent = this._t('start_time');
-    
-    const timeContainer = document.createElement('div');
-    timeContainer.className = 'state';
-    
-    // Immer Zeitauswahl anzeigen
-    const timePicker = document.createElement('div');
-    timePicker.className = 'time-picker';
+    // Günstigste Startzeit Schalter
+    // Optimierungsziel: Preis, CO2 oder beides
+    if (this._config.price_entity && this._config.co2_entity) {
+      this._buildOptimizeTargetRow(content);
+    }
 
-    const hoursContainer = document.createElement('div');
-    hoursContainer.className = 'time-section';
-    const hourUp = this._createButton('▲', () => {
-      this._selectedHour = (this._selectedHour + 1) % 24;
-      
-      // Speichere die manuelle Zeiteinstellung
-      this._lastManualHour = this._selectedHour;
-      this._lastManualMinute = this._selectedMinute;
-      
-      // Prüfen, ob die neue Zeit der günstigsten Zeit entspricht
-      this._config.use_best_price = this._isSelectedTimeBestPrice();
-      
-      this._render();
-    });
-    const hourDisplay = document.createElement('div');
-    hourDisplay.className = 'time-display';
-    hourDisplay.textContent = ('0' + this._selectedHour).slice(-2);
-    const hourDown = this._createButton('▼', () => {
-      this._selectedHour = (this._selectedHour + 23) % 24;
-      
-      // Speichere die manuelle Zeiteinstellung
-      this._lastManualHour = this._selectedHour;
-      this._lastManualMinute = this._selectedMinute;
-      
-      // Prüfen, ob die neue Zeit der günstigsten Zeit entspricht
-      this._config.use_best_price = this._isSelectedTimeBestPrice();
-      
-      this._render();
-    });
-    hoursContainer.appendChild(hourUp);
-    hoursContainer.appendChild(hourDisplay);
-    hoursContainer.appendChild(hourDown);
-    timePicker.appendChild(hoursContainer);
+    if (this._config.price_entity || this._config.co2_entity) {
+      this._buildOptimizeRow(content, 'use_best_price', 'mdi:progress-clock');
+    }
 
-    const minutesContainer = document.createElement('div');
-    minutesContainer.className = 'time-section';
-    const minuteUp = this._createButton('▲', () => {
-      this._selectedMinute = (this._selectedMinute + this._config.ui_time_step) % 60;
-      
-      // Speichere die manuelle Zeiteinstellung
-      this._lastManualHour = this._selectedHour;
-      this._lastManualMinute = this._selectedMinute;
-      
-      // Prüfen, ob die neue Zeit der günstigsten Zeit entspricht
-      this._config.use_best_price = this._isSelectedTimeBestPrice();
-      
-      this._render();
-    });
-    const minuteDisplay = document.createElement('div');
-    minuteDisplay.className = 'time-display';
-    minuteDisplay.textContent = ('0' + this._selectedMinute).slice(-2);
-    const minuteDown = this._createButton('▼', () => {
-      this._selectedMinute = (this._selectedMinute - this._config.ui_time_step + 60) % 60;
-      
-      // Speichere die manuelle Zeiteinstellung
-      this._lastManualHour = this._selectedHour;
-      this._lastManualMinute = this._selectedMinute;
-      
-      // Prüfen, ob die neue Zeit der günstigsten Zeit entspricht
-      this._config.use_best_price = this._isSelectedTimeBestPrice();
-      
-      this._render();
-    });
-    minutesContainer.appendChild(minuteUp);
-    minutesContainer.appendChild(minuteDisplay);
-    minutesContainer.appendChild(minuteDown);
-    timePicker.appendChild(minutesContainer);
-    
-    timeContainer.appendChild(timePicker);
-    
-    timeRow.appendChild(timeIconContainer);
-    timeRow.appendChild(timeLabel);
-    timeRow.appendChild(timeContainer);
-    
-    content.appendChild(timeRow);
+    // Startzeit mit dem meisten Solarstrom
+    if (this._config.solar_forecast_entity) {
+      this._buildOptimizeRow(content, 'use_solar', 'mdi:solar-power');
+    }
+
+    // Hinweise auf fehlende oder veraltete Prognosedaten statt einer falschen besten Zeit
+    if (this._config.price_entity || this._config.co2_entity || this._config.solar_forecast_entity) {
+      const sourceWarning = document.createElement('div');
+      sourceWarning.className = 'warning source-warning';
+      content.appendChild(sourceWarning);
+      this._updaters.push(() => {
+        const messages = this._getSourceWarnings();
+        sourceWarning.style.display = messages.length > 0 ? '' : 'none';
+        sourceWarning.textContent = messages.join(' · ');
+      });
+    }
 
-    let delayMinutes = this._computeDelay();
+    this._buildTimeRow(content);
+
+    // Preis-Chart mit Programmlaufzeit
+    if (this._config.show_chart !== false) {
+      this._buildChart(content);
+    }
 
     const resultRow = document.createElement('div');
     resultRow.className = 'row result-row';
@@ -468,30 +3545,71 @@ class HomeApplianceTimerCard extends HTMLElement {
     const resultDisplay = document.createElement('div');
     resultDisplay.className = 'state result-display';
     
-    if (delayMinutes <= 0) {
-      resultDisplay.textContent = this._t('start_now');
-    } else {
-      const hours = Math.floor(delayMinutes / 60);
-      const minutes = delayMinutes % 60;
-      let resultText = '';
-      if (hours > 0) {
-        resultText += hours + this._t('hour') + ' ';
-      }
-      if (minutes > 0) {
-        resultText += minutes + this._t('minute');
-      }
-      if (hours === 0 && minutes === 0) {
-        resultText = this._t('start_now');
-      }
-      resultDisplay.textContent = resultText;
-    }
-    
     resultRow.appendChild(resultLabel);
     resultRow.appendChild(resultDisplay);
+
+    // Erwartete CO2-Emissionen des Programmlaufs neben dem Timer
+    if (this._config.co2_entity) {
+      const co2Display = document.createElement('div');
+      co2Display.className = 'co2-display';
+      resultRow.appendChild(co2Display);
+      this._updaters.push(() => {
+        const grams = this._estimateCo2(this._getPlan().start);
+        co2Display.style.display = grams !== null ? '' : 'none';
+        co2Display.textContent = grams !== null ? this._formatCo2(grams) : '';
+      });
+    }
     
     content.appendChild(resultRow);
 
-    card.appendChild(content);
+    // Countdown bis Start und Ende, wird vom Timer laufend aktualisiert
+    const countdown = document.createElement('div');
+    countdown.className = 'countdown';
+    content.appendChild(countdown);
+
+    this._liveEls.timer = resultDisplay;
+    this._liveEls.countdown = countdown;
+    this._updaters.push(() => this._updateLiveText());
+
+    const warning = document.createElement('div');
+    warning.className = 'warning';
+    content.appendChild(warning);
+    this._updaters.push(() => {
+      const plan = this._getPlan();
+      const messages = [];
+      if (plan.unreachable) {
+        messages.push(this._t('delay_' + plan.unreachable));
+      }
+      if (!this._canFinishInTime()) {
+        messages.push(this._t('finish_unreachable'));
+      }
+      // Option der Programm-Entität ohne bekannte Dauer: Ende und beste Zeit rechnen mit 0 Minuten
+      if (plan.program && isNaN(parseInt(plan.program.duration))) {
+        messages.push(this._t('duration_unknown', { program: plan.program.name }));
+      }
+      const conflicts = this._getConflicts(plan.start.getTime(), plan.end.getTime());
+      if (conflicts) {
+        messages.push(this._t('overlap_warning') + ': ' + conflicts.join(', '));
+      }
+      this._planViolations.forEach((rule) => {
+        const latestEnd = this._getLatestEndFor(plan.start.getTime());
+        messages.push(this._t(rule + '_violation', { time: latestEnd !== null ? this._formatClock(new Date(latestEnd)) : '' }));
+      });
+      warning.style.display = messages.length > 0 ? '' : 'none';
+      warning.textContent = messages.join(' · ');
+    });
+
+    this._buildCostRows(content);
+
+    if (this._config.action) {
+      this._buildActionRow(content);
+    }
+
+    if (this._getSchedules().length > 0) {
+      this._buildSchedulesSection(content);
+    }
+
+    card.appendChild(cardContent);
 
     const style = document.createElement('style');
     style.textContent = `
@@ -503,6 +3621,9 @@ class HomeApplianceTimerCard extends HTMLElement {
         padding: 16px;
         color: var(--primary-text-color);
       }
+      .embedded {
+        color: var(--primary-text-color);
+      }
       .card-header {
         color: var(--ha-card-header-color, --primary-text-color);
         font-family: var(--ha-card-header-font-family, inherit);
@@ -512,11 +3633,47 @@ class HomeApplianceTimerCard extends HTMLElement {
         display: block;
         padding: 8px 0 16px;
       }
+      .embedded .card-header {
+        font-size: 18px;
+        padding: 8px 0;
+      }
+      .warning {
+        color: var(--warning-color, #ffa600);
+        font-size: 0.9em;
+        margin-bottom: 8px;
+      }
       .card-content {
         padding: 0;
         display: flex;
         flex-direction: column;
       }
+      .planning {
+        display: flex;
+        flex-direction: column;
+      }
+      .status-row .state {
+        font-weight: 500;
+      }
+      .progress {
+        height: 8px;
+        border-radius: 4px;
+        background: var(--divider-color, rgba(0, 0, 0, 0.12));
+        overflow: hidden;
+        margin-bottom: 8px;
+      }
+      .progress-bar {
+        height: 100%;
+        background: var(--primary-color);
+      }
+      .progress-text {
+        font-size: 0.85em;
+        color: var(--secondary-text-color);
+        margin-bottom: 8px;
+      }
+      .action-button:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
       .row {
         display: flex;
         align-items: center;
@@ -569,6 +3726,13 @@ class HomeApplianceTimerCard extends HTMLElement {
         justify-content: center;
         gap: 16px;
       }
+      .time-picker.violation .time-display {
+        color: var(--warning-color, #ffa600);
+      }
+      .time-period {
+        align-self: center;
+        font-size: 1.2em;
+      }
       .time-section {
         display: flex;
         flex-direction: column;
@@ -597,7 +3761,29 @@ class HomeApplianceTimerCard extends HTMLElement {
       button:focus {
         outline: none;
       }
-      .dropdown {
+      /* Fokus nur bei Tastaturbedienung sichtbar */
+      button:focus-visible,
+      .time-display:focus-visible {
+        outline: 2px solid var(--primary-color);
+        outline-offset: 2px;
+        border-radius: 4px;
+      }
+      .time-display {
+        cursor: ns-resize;
+      }
+      .time-input {
+        font-size: 1.5em;
+        background: var(--card-background-color);
+        color: var(--primary-text-color);
+        border: 1px solid var(--divider-color, rgba(0, 0, 0, 0.12));
+        border-radius: 4px;
+        padding: 4px 8px;
+      }
+      ha-select.dropdown {
+        width: 100%;
+        min-width: 220px;
+      }
+      select.dropdown {
         background: var(--card-background-color);
         border: 1px solid var(--divider-color, rgba(0, 0, 0, 0.12));
         border-radius: 4px;
@@ -614,29 +3800,459 @@ class HomeApplianceTimerCard extends HTMLElement {
       .result-row {
         margin-top: 8px;
       }
+      .co2-display {
+        margin-left: 12px;
+        font-size: 0.9em;
+        color: var(--secondary-text-color);
+      }
+      .plan-by-row {
+        justify-content: center;
+        gap: 0;
+      }
+      .segment {
+        width: auto;
+        height: 32px;
+        padding: 0 16px;
+        font-size: 14px;
+        border: 1px solid var(--divider-color, rgba(0, 0, 0, 0.12));
+      }
+      .segment:first-child {
+        border-radius: 16px 0 0 16px;
+      }
+      .segment:last-child {
+        border-radius: 0 16px 16px 0;
+      }
+      .segment.active {
+        background: var(--primary-color);
+        color: var(--text-primary-color, #fff);
+        border-color: var(--primary-color);
+      }
+      .day-selector {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 0.8em;
+        color: var(--secondary-text-color);
+      }
+      .day-selector button {
+        font-size: 1.4em;
+        height: 20px;
+        width: 20px;
+      }
+      .day-selector button:disabled {
+        opacity: 0.3;
+        cursor: default;
+      }
+      .time-zone-hint {
+        font-size: 0.8em;
+        color: var(--secondary-text-color);
+      }
+      .schedules {
+        margin-top: 8px;
+      }
+      .schedules-heading {
+        font-weight: 500;
+        margin-bottom: 4px;
+      }
+      .schedule-item {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        width: 100%;
+        padding: 6px 8px;
+        border: 1px solid var(--divider-color, #e0e0e0);
+        border-radius: 8px;
+        margin-bottom: 4px;
+        background: none;
+        color: var(--primary-text-color);
+        text-align: left;
+        cursor: pointer;
+      }
+      .schedule-item.active {
+        border-color: var(--primary-color);
+      }
+      .schedule-time {
+        font-size: 0.9em;
+        color: var(--secondary-text-color);
+        text-align: right;
+      }
+      .countdown {
+        font-size: 0.85em;
+        color: var(--secondary-text-color);
+        text-align: right;
+        margin: -8px 0 8px;
+      }
       .best-price-display {
         font-size: 1.1em;
       }
+      .cost-row {
+        min-height: 24px;
+        margin-bottom: 0;
+        color: var(--secondary-text-color);
+      }
+      .savings-positive {
+        color: var(--success-color, #4caf50);
+        font-weight: 500;
+      }
+      .action-row {
+        margin-top: 8px;
+        margin-bottom: 0;
+      }
+      .action-status {
+        font-size: 0.9em;
+      }
+      .action-status.success {
+        color: var(--success-color, #4caf50);
+      }
+      .action-status.error {
+        color: var(--error-color, #db4437);
+      }
+      .action-button {
+        width: auto;
+        height: 36px;
+        padding: 0 16px;
+        border-radius: 18px;
+        font-size: 14px;
+        font-weight: 500;
+        background: var(--primary-color);
+        color: var(--text-primary-color, #fff);
+      }
+      .chart {
+        position: relative;
+        height: 80px;
+        margin-top: 8px;
+        cursor: pointer;
+        touch-action: none;
+      }
+      .chart svg {
+        width: 100%;
+        height: 100%;
+        display: block;
+      }
+      .chart-bar {
+        fill: var(--primary-color);
+        opacity: 0.35;
+      }
+      .chart-best {
+        fill: none;
+        stroke: var(--success-color, #4caf50);
+        stroke-width: 2;
+        stroke-dasharray: 4 2;
+        vector-effect: non-scaling-stroke;
+      }
+      .chart-run {
+        fill: var(--accent-color, var(--primary-color));
+        opacity: 0.3;
+      }
+      .chart-start {
+        stroke: var(--accent-color, var(--primary-color));
+        stroke-width: 2;
+        vector-effect: non-scaling-stroke;
+      }
+      .chart-now {
+        stroke: var(--secondary-text-color);
+        stroke-width: 1;
+        stroke-dasharray: 2 2;
+        vector-effect: non-scaling-stroke;
+      }
+      .chart-labels {
+        position: relative;
+        height: 16px;
+        margin-bottom: 8px;
+        font-size: 0.75em;
+        color: var(--secondary-text-color);
+      }
+      .chart-labels span {
+        position: absolute;
+        transform: translateX(-50%);
+      }
     `;
     this.shadowRoot.appendChild(style);
     this.shadowRoot.appendChild(card);
   }
 }
 
-// Register component
-if (!customElements.get("home-appliance-timer-card")) {
-  customElements.define("home-appliance-timer-card", HomeApplianceTimerCard);
-  console.info(
-    `%c andiwirs/ha-home-appliance-timer-card %c v1.0.1 `
-  )
+/**
+ * Visual editor for the Home Appliance Timer Card.
+ *
+ * The general options are edited with ha-form, the program list with add/remove/reorder controls.
+ * Options without an editor field (e.g. program phases, action) are kept as they are and can be edited in YAML.
+ */
+class HomeApplianceTimerCardEditor extends CardElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._config = {};
+  }
+
+  setConfig(config) {
+    const programsChanged = JSON.stringify(config.programs || []) !== JSON.stringify(this._config.programs || []);
+    this._config = Object.assign({}, config);
+    if (!this._form) {
+      this._render();
+    } else {
+      this._form.data = this._config;
+      // Programmliste nur neu aufbauen, wenn sie sich von außen geändert hat (Fokus beim Tippen behalten)
+      if (programsChanged) this._renderPrograms();
+    }
+  }
+
+  set hass(hass) {
+    const language = this._getLanguage();
+    this._hass = hass;
+    if (this._form) {
+      this._form.hass = hass;
+    }
+    if (this._getLanguage() !== language) {
+      loadTranslations(this._getLanguage()).then((loaded) => {
+        if (loaded && this._form) this._render();
+      });
+    }
+  }
+
+  // Editor texts from the card translations (keys with "editor_" prefix), with the same fallback to English
+  _label(key) {
+    return key ? translate(this._getLanguage(), 'editor_' + key) : '';
+  }
+
+  _getLanguage() {
+    return this._hass && ((this._hass.locale && this._hass.locale.language) || this._hass.language);
+  }
+
+  _schema() {
+    return [
+      { name: 'title', selector: { text: {} } },
+      {
+        name: 'mode',
+        selector: {
+          select: {
+            mode: 'dropdown',
+            options: [
+              { value: 'start', label: this._label('mode_start') },
+              { value: 'end', label: this._label('mode_end') },
+            ],
+          },
+        },
+      },
+      {
+        type: 'grid',
+        name: '',
+        schema: [
+          { name: 'device_timer_interval', selector: { number: { min: 1, max: 1440, mode: 'box' } } },
+          { name: 'ui_time_step', selector: { number: { min: 1, max: 60, mode: 'box' } } },
+        ],
+      },
+      { name: 'default_time', selector: { time: {} } },
+      { name: 'price_entity', selector: { entity: { domain: 'sensor' } } },
+      { name: 'solar_forecast_entity', selector: { entity: { domain: 'sensor' } } },
+      { name: 'co2_entity', selector: { entity: { domain: 'sensor' } } },
+      {
+        type: 'grid',
+        name: '',
+        schema: [
+          { name: 'show_chart', selector: { boolean: {} } },
+          { name: 'currency', selector: { text: {} } },
+        ],
+      },
+    ];
+  }
+
+  // Sends the changed config to the dashboard editor
+  _updateConfig(config) {
+    Object.keys(config).forEach((key) => {
+      if (config[key] === '' || config[key] === null || config[key] === undefined) {
+        delete config[key];
+      }
+    });
+    this._config = config;
+    this.dispatchEvent(new CustomEvent('config-changed', {
+      detail: { config },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  // Always read the programs from the current config, edits of other fields may not have re-rendered the list
+  _getPrograms() {
+    return Array.isArray(this._config.programs) ? this._config.programs : [];
+  }
+
+  _updatePrograms(programs) {
+    this._updateConfig(Object.assign({}, this._config, { programs }));
+  }
+
+  _render() {
+    this.shadowRoot.innerHTML = '';
+
+    const form = document.createElement('ha-form');
+    form.hass = this._hass;
+    form.data = Object.assign({ mode: 'start', device_timer_interval: 60, ui_time_step: 15, show_chart: true }, this._config);
+    form.schema = this._schema();
+    form.computeLabel = (schema) => this._label(schema.name);
+    form.addEventListener('value-changed', (e) => {
+      this._updateConfig(Object.assign({}, this._config, e.detail.value));
+    });
+    this._form = form;
+
+    const programsHeader = document.createElement('div');
+    programsHeader.className = 'programs-header';
+    programsHeader.textContent = this._label('programs');
+
+    this._programsContainer = document.createElement('div');
+    this._programsContainer.className = 'programs';
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .programs-header {
+        margin: 24px 0 8px;
+        font-weight: 500;
+      }
+      .program {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+      .program ha-textfield {
+        flex: 1;
+        min-width: 0;
+      }
+      .program ha-textfield.name {
+        flex: 3;
+      }
+      .add-program {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        background: none;
+        border: none;
+        color: var(--primary-color);
+        font-size: 14px;
+        font-weight: 500;
+        cursor: pointer;
+        padding: 8px 0;
+      }
+    `;
+
+    this.shadowRoot.appendChild(style);
+    this.shadowRoot.appendChild(form);
+    this.shadowRoot.appendChild(programsHeader);
+    this.shadowRoot.appendChild(this._programsContainer);
+    this._renderPrograms();
+  }
+
+  _renderPrograms() {
+    const container = this._programsContainer;
+    container.innerHTML = '';
+    const programs = this._getPrograms();
+
+    const createField = (program, index, key, type) => {
+      const field = document.createElement('ha-textfield');
+      field.className = key;
+      field.label = this._label(key);
+      field.type = type;
+      field.value = program[key] !== undefined ? program[key] : '';
+      field.addEventListener('change', (e) => {
+        const value = e.target.value;
+        const updated = this._getPrograms().map((p) => Object.assign({}, p));
+        if (value === '') {
+          delete updated[index][key];
+        } else {
+          updated[index][key] = type === 'number' ? Number(value) : value;
+        }
+        this._updatePrograms(updated);
+      });
+      return field;
+    };
+
+    const createIconButton = (icon, label, disabled, onClick) => {
+      const button = document.createElement('ha-icon-button');
+      button.label = label;
+      button.disabled = disabled;
+      const haIcon = document.createElement('ha-icon');
+      haIcon.setAttribute('icon', icon);
+      button.appendChild(haIcon);
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    programs.forEach((program, index) => {
+      const row = document.createElement('div');
+      row.className = 'program';
+      row.appendChild(createField(program, index, 'name', 'text'));
+      row.appendChild(createField(program, index, 'duration', 'number'));
+      row.appendChild(createField(program, index, 'offset', 'number'));
+      row.appendChild(createField(program, index, 'energy', 'number'));
+      row.appendChild(createField(program, index, 'icon', 'text'));
+
+      const move = (from, to) => {
+        const updated = this._getPrograms().slice();
+        updated.splice(to, 0, updated.splice(from, 1)[0]);
+        this._updatePrograms(updated);
+        this._renderPrograms();
+      };
+      row.appendChild(createIconButton('mdi:arrow-up', this._label('move_up'), index === 0, () => move(index, index - 1)));
+      row.appendChild(createIconButton('mdi:arrow-down', this._label('move_down'), index === programs.length - 1, () => move(index, index + 1)));
+      row.appendChild(createIconButton('mdi:delete', this._label('remove'), false, () => {
+        this._updatePrograms(this._getPrograms().filter((p, i) => i !== index));
+        this._renderPrograms();
+      }));
+      container.appendChild(row);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'add-program';
+    const addIcon = document.createElement('ha-icon');
+    addIcon.setAttribute('icon', 'mdi:plus');
+    addButton.appendChild(addIcon);
+    addButton.appendChild(document.createTextNode(this._label('add_program')));
+    addButton.addEventListener('click', () => {
+      const current = this._getPrograms();
+      this._updatePrograms(current.concat([{ name: this._label('program') + ' ' + (current.length + 1), duration: 60, offset: 0 }]));
+      this._renderPrograms();
+    });
+    container.appendChild(addButton);
+  }
+}
+
+// Scheduling core for other modules (e.g. automations or checks of the time math)
+export {
+  getZonedParts,
+  getZoneOffset,
+  fromZonedParts,
+  getSelectedTime,
+  getDayOffset,
+  getRunMinutes,
+  getTargetTime,
+  getReachableDelays,
+  roundDelay,
+  computeDelayInfo,
+  isSameMinute,
+  isToggleOn,
+  switchToggle,
+};
+
+// Register component (only in a browser, the scheduling functions are also imported without a DOM)
+if (typeof customElements !== 'undefined') {
+  if (!customElements.get("home-appliance-timer-card")) {
+    customElements.define("home-appliance-timer-card", HomeApplianceTimerCard);
+    console.info(
+      `%c andiwirs/ha-home-appliance-timer-card %c v1.0.1 `
+    )
+  }
+  if (!customElements.get("home-appliance-timer-card-editor")) {
+    customElements.define("home-appliance-timer-card-editor", HomeApplianceTimerCardEditor);
+  }
 }
 
 // Register card
-window.customCards = window.customCards || [];
-window.customCards.push({
-    name: 'Home Appliance Timer Card',
-    description: 'A simple card to help timing your home appliances for the cheapest electricity price times',
-    type: 'home-appliance-timer-card',
-    preview: false,
-    documentationURL: `https://github.com/andiwirs/ha-home-appliance-timer-card`,
-});
\ No newline at end of file
+if (typeof window !== 'undefined') {
+  window.customCards = window.customCards || [];
+  window.customCards.push({
+      name: 'Home Appliance Timer Card',
+      description: 'A simple card to help timing your home appliances for the cheapest electricity price times',
+      type: 'home-appliance-timer-card',
+      preview: true,
+      documentationURL: `https://github.com/andiwirs/ha-home-appliance-timer-card`,
+  });
+}
\ No newline at end of file
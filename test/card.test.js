@@ -0,0 +1,157 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCard, hourlyPrices } from './dom.js';
+
+const now = new Date('2026-01-15T10:00:00Z');
+
+const hourButton = (card, label) => card.shadowRoot.querySelector('[aria-label="Hour: ' + label + '"]');
+const timerText = (card) => card.shadowRoot.querySelector('.result-display').textContent;
+const dayText = (card) => card.shadowRoot.querySelector('.day-label').textContent;
+const toggle = (card) => card.shadowRoot.querySelector('ha-switch');
+const switchTo = (card, checked) => {
+  toggle(card).checked = checked;
+  toggle(card).dispatchEvent(new window.Event('change'));
+};
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Removing the cards stops their clock, so the test run can end
+afterEach(() => document.body.replaceChildren());
+
+// Cheapest hour from 13:00 to 14:00
+const priceStates = () => ({
+  'sensor.price': { state: '0.3', attributes: { raw_today: hourlyPrices(now, [0.3, 0.3, 0.3, 0.05, 0.3, 0.3, 0.3, 0.3]) } },
+});
+const bestPriceConfig = (extra) => Object.assign({
+  mode: 'start', price_entity: 'sensor.price', programs: [{ name: 'Eco', duration: 60 }],
+}, extra);
+
+describe('timer', () => {
+  it('shows the delay until the selected start, rounded up to the timer interval', () => {
+    const { card } = createCard({ mode: 'start', default_time: '13:30' }, { now });
+    assert.equal(card._getPlan().delayMinutes, 240);
+    assert.equal(timerText(card), '4h');
+  });
+
+  it('times the program end without the offset in end mode', () => {
+    const { card } = createCard({ mode: 'end', default_time: '13:00', programs: [{ name: 'Eco', duration: 100, offset: 10 }] }, { now });
+    const plan = card._getPlan();
+    assert.equal(plan.delayMinutes, 300);
+    assert.deepEqual([plan.start, plan.end], [new Date('2026-01-15T13:30:00Z'), new Date('2026-01-15T15:00:00Z')]);
+  });
+
+  it('moves to the next day when the hour is stepped past midnight', () => {
+    const { card } = createCard({ mode: 'start', default_time: '23:00' }, { now });
+    assert.equal(dayText(card), 'Today');
+    hourButton(card, 'Later').click();
+    assert.equal(dayText(card), 'Tomorrow');
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-16T00:00:00Z'));
+    hourButton(card, 'Earlier').click();
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T23:00:00Z'));
+  });
+
+  it('stops at 23:00 on the last selectable day', () => {
+    const { card } = createCard({ mode: 'start', default_time: '23:00', max_days: 0 }, { now });
+    hourButton(card, 'Later').click();
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T23:00:00Z'));
+  });
+
+  it('restores a saved date in the time zone of the server', () => {
+    const saved = { hour: 13, minute: 0, date: '2026-01-16T12:00:00.000Z' };
+    window.localStorage.setItem('home-appliance-timer-card:saved', JSON.stringify(saved));
+    const { card } = createCard({ mode: 'start', persistence: 'local', storage_key: 'saved' }, { now, timeZone: 'Europe/Berlin' });
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-16T12:00:00Z'));
+    assert.equal(dayText(card), 'Tomorrow');
+  });
+
+  it('uses the time zone of the server', () => {
+    const { card } = createCard({ mode: 'start', default_time: '13:30' }, { now, timeZone: 'Europe/Berlin' });
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T12:30:00Z'));
+    assert.equal(card._getPlan().delayMinutes, 180);
+  });
+});
+
+describe('configuration', () => {
+  it('rejects device timers without a delay between min_delay and max_delay', () => {
+    const setConfig = (config) => document.createElement('home-appliance-timer-card').setConfig(Object.assign({ mode: 'start' }, config));
+    assert.throws(() => setConfig({ allowed_delays: [60], min_delay: 120 }), /allowed_delays must contain at least one delay/);
+    assert.throws(() => setConfig({ min_delay: 130, max_delay: 170 }), /^Error: device_timer_interval must have a multiple/);
+    assert.throws(() => setConfig({ min_delay: 70, max_delay: 100, programs: [{ name: 'Eco', duration: 60, device_timer_interval: 60 }], device_timer_interval: 30 }),
+      /programs\[0\]\.device_timer_interval must have a multiple/);
+    assert.doesNotThrow(() => setConfig({ allowed_delays: [60, 180], min_delay: 120 }));
+  });
+});
+
+describe('persistence', () => {
+  const timeHelper = (state) => ({ 'input_datetime.time': { state, attributes: { has_time: true, has_date: false } } });
+
+  it('keeps the selected day when a time-only helper reports the written time', async () => {
+    const { card, calls } = createCard({ mode: 'start', persistence: { time_entity: 'input_datetime.time' } },
+      { now, states: timeHelper('10:00:00') });
+    card._selectedHour = 14;
+    card._selectedMinute = 0;
+    card._selectedDay = 1;
+    card._applyManualTime();
+    await wait(1100);
+    assert.deepEqual(calls[0], ['input_datetime', 'set_datetime', { entity_id: 'input_datetime.time', time: '14:00:00' }]);
+
+    card.hass = Object.assign({}, card._hass, { states: timeHelper('14:00:00') });
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-16T14:00:00Z'));
+
+    // Changed on another device
+    card.hass = Object.assign({}, card._hass, { states: timeHelper('15:00:00') });
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T15:00:00Z'));
+  });
+});
+
+describe('best price toggle', () => {
+  it('selects the cheapest start and turns itself off and on again when the time is changed', () => {
+    const { card } = createCard(bestPriceConfig({ use_best_price: true }), { now, states: priceStates() });
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T13:00:00Z'));
+    assert.equal(toggle(card).checked, true);
+
+    hourButton(card, 'Later').click();
+    assert.equal(toggle(card).checked, false);
+    assert.equal(card._config.use_best_price, false);
+
+    hourButton(card, 'Earlier').click();
+    assert.equal(toggle(card).checked, true);
+    assert.equal(card._config.use_best_price, true);
+  });
+
+  it('keeps the cheapest start out of the quiet hours and before latest_end of the next day', () => {
+    // Cheapest at 22:00 (quiet hours), then 08:00 the next day (ends after latest_end), then 06:00
+    const prices = Array(30).fill(0.3);
+    prices[12] = 0.01;
+    prices[22] = 0.02;
+    prices[20] = 0.05;
+    const states = { 'sensor.price': { state: '0.3', attributes: { raw_today: hourlyPrices(now, prices) } } };
+    const config = bestPriceConfig({ use_best_price: true, quiet_hours: ['22:00-06:00'], latest_end: '08:30' });
+    const { card } = createCard(config, { now, states });
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-16T06:00:00Z'));
+    assert.deepEqual(card._getRuleViolations(new Date('2026-01-16T08:00:00Z').getTime()), ['latest_end']);
+  });
+
+  it('returns to the manual time when switched off', () => {
+    const { card } = createCard(bestPriceConfig({ default_time: '18:00' }), { now, states: priceStates() });
+    assert.equal(toggle(card).checked, false);
+
+    switchTo(card, true);
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T13:00:00Z'));
+    switchTo(card, false);
+    assert.deepEqual(card._getSelectedTime(), new Date('2026-01-15T18:00:00Z'));
+  });
+
+  it('publishes the rounded run when the plan is changed, but not when the card is opened', async () => {
+    const config = bestPriceConfig({ use_best_price: true, device_timer_interval: 30, publish: { event: true } });
+    const { card, calls } = createCard(config, { now, states: priceStates() });
+    await wait(1100);
+    assert.equal(calls.length, 0);
+
+    hourButton(card, 'Later').click();
+    await wait(1100);
+    assert.equal(calls.length, 1);
+    const [method, path, data] = calls[0];
+    assert.deepEqual([method, path], ['POST', 'events/home_appliance_timer_planned']);
+    assert.deepEqual([data.start, data.end, data.delay_minutes], ['2026-01-15T14:00:00.000Z', '2026-01-15T15:00:00.000Z', 240]);
+  });
+});
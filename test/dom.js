@@ -0,0 +1,44 @@
+// Loads the card in Node: a jsdom window provides the browser globals it uses
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'http://localhost/', pretendToBeVisual: true });
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.HTMLElement = window.HTMLElement;
+globalThis.customElements = window.customElements;
+globalThis.CustomEvent = window.CustomEvent;
+
+export const card = await import('../home-appliance-timer-card.js');
+
+/**
+ * Card element with a fixed clock and a mocked hass object. Service and API calls are recorded in "calls".
+ * The Home Assistant server runs in timeZone, the card shows times in it.
+ */
+export function createCard(config, { now, states = {}, language = 'en', timeZone = 'UTC' } = {}) {
+  const element = document.createElement('home-appliance-timer-card');
+  document.body.appendChild(element);
+  element._clock = () => now.getTime();
+  element.setConfig(config);
+
+  const calls = [];
+  element.hass = {
+    language,
+    locale: { language, time_format: '24', time_zone: 'server' },
+    config: { time_zone: timeZone },
+    states,
+    callService: (...args) => {
+      calls.push(args);
+      return Promise.resolve();
+    },
+    callApi: (...args) => {
+      calls.push(args);
+      return Promise.resolve();
+    },
+  };
+  return { card: element, calls };
+}
+
+// Price forecast attribute with one value per hour from the given start
+export function hourlyPrices(start, values) {
+  return values.map((value, index) => ({ start: new Date(start.getTime() + index * 3600000).toISOString(), value }));
+}
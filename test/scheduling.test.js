@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getSelectedTime, getDayOffset, getRunMinutes, getTargetTime, computeDelayInfo, isToggleOn, switchToggle,
+} from '../home-appliance-timer-card.js';
+
+const at = (iso) => new Date(iso);
+const minutesBetween = (a, b) => (b.getTime() - a.getTime()) / 60000;
+
+describe('computeDelayInfo', () => {
+  const now = at('2026-01-15T10:00:00Z');
+
+  it('rounds the delay to the start up to the timer interval in start mode', () => {
+    const info = computeDelayInfo(at('2026-01-15T13:30:00Z'), 90, { mode: 'start', device_timer_interval: 60 }, now);
+    assert.equal(info.rawMinutes, 210);
+    assert.equal(info.delayMinutes, 240);
+    assert.deepEqual([info.start, info.end], [at('2026-01-15T14:00:00Z'), at('2026-01-15T15:30:00Z')]);
+    assert.equal(info.unreachable, null);
+  });
+
+  it('times the program end in end mode, the start moves back by the run time', () => {
+    const info = computeDelayInfo(at('2026-01-15T13:00:00Z'), 90, { mode: 'end', device_timer_interval: 60 }, now);
+    assert.equal(info.rawMinutes, 270);
+    assert.equal(info.delayMinutes, 300);
+    assert.deepEqual([info.start, info.end], [at('2026-01-15T13:30:00Z'), at('2026-01-15T15:00:00Z')]);
+  });
+
+  it('uses the run time without the offset of the program', () => {
+    const program = { duration: 100, offset: 10 };
+    assert.equal(getRunMinutes(program), 90);
+    assert.equal(getRunMinutes({ duration: 5, offset: 10 }), 0);
+    assert.equal(getRunMinutes(null), 0);
+    const info = computeDelayInfo(at('2026-01-15T13:00:00Z'), getRunMinutes(program), { mode: 'end', device_timer_interval: 30 }, now);
+    assert.equal(info.delayMinutes, 270);
+    assert.deepEqual(info.end, at('2026-01-15T14:30:00Z'));
+  });
+
+  it('rounds up, down or to the nearest interval', () => {
+    const target = at('2026-01-15T12:20:00Z');
+    const delay = (rounding) => computeDelayInfo(target, 60, { mode: 'start', device_timer_interval: 60, rounding }, now).delayMinutes;
+    assert.equal(delay(undefined), 180);
+    assert.equal(delay('down'), 120);
+    assert.equal(delay('nearest'), 120);
+    assert.equal(computeDelayInfo(at('2026-01-15T12:40:00Z'), 60, { mode: 'start', device_timer_interval: 60, rounding: 'nearest' }, now)
+      .delayMinutes, 180);
+  });
+
+  it('rounds to the cheaper run with best_price', () => {
+    const prices = { 120: 0.2, 180: 0.1 };
+    const options = { mode: 'start', device_timer_interval: 60, rounding: 'best_price' };
+    assert.equal(computeDelayInfo(at('2026-01-15T12:20:00Z'), 60, options, now, (minutes) => prices[minutes]).delayMinutes, 180);
+    prices[120] = 0.05;
+    assert.equal(computeDelayInfo(at('2026-01-15T12:20:00Z'), 60, options, now, (minutes) => prices[minutes]).delayMinutes, 120);
+  });
+
+  it('picks the nearest allowed delay and reports delays outside min_delay and max_delay', () => {
+    const target = at('2026-01-15T14:00:00Z');
+    assert.equal(computeDelayInfo(target, 60, { mode: 'start', allowed_delays: [60, 180, 360] }, now).delayMinutes, 360);
+
+    const tooLong = computeDelayInfo(target, 60, { mode: 'start', device_timer_interval: 60, max_delay: 180 }, now);
+    assert.deepEqual([tooLong.delayMinutes, tooLong.unreachable], [180, 'too_long']);
+
+    const tooShort = computeDelayInfo(at('2026-01-15T10:30:00Z'), 60, { mode: 'start', device_timer_interval: 60, min_delay: 120 }, now);
+    assert.deepEqual([tooShort.delayMinutes, tooShort.unreachable], [120, 'too_short']);
+  });
+
+  it('reports when no delay lies between min_delay and max_delay', () => {
+    const target = at('2026-01-15T14:00:00Z');
+    const info = computeDelayInfo(target, 60, { mode: 'start', allowed_delays: [60], min_delay: 120 }, now);
+    assert.deepEqual([info.delayMinutes, info.unreachable], [0, 'none']);
+    assert.deepEqual(info.start, now);
+    const interval = computeDelayInfo(target, 60, { mode: 'start', device_timer_interval: 60, min_delay: 130, max_delay: 170 }, now);
+    assert.deepEqual([interval.delayMinutes, interval.unreachable], [0, 'none']);
+  });
+
+  it('starts now when the desired time has passed', () => {
+    const info = computeDelayInfo(at('2026-01-15T09:00:00Z'), 60, { mode: 'start', device_timer_interval: 60 }, now);
+    assert.equal(info.delayMinutes, 0);
+    assert.deepEqual(info.start, now);
+  });
+
+  it('derives the start from the deadline when planning by finish time', () => {
+    const deadline = at('2026-01-15T18:00:00Z');
+    assert.deepEqual(getTargetTime(deadline, 'finish', 90, null), at('2026-01-15T16:30:00Z'));
+    assert.deepEqual(getTargetTime(deadline, 'finish', 90, at('2026-01-15T12:00:00Z')), at('2026-01-15T12:00:00Z'));
+    assert.deepEqual(getTargetTime(deadline, 'start', 90, at('2026-01-15T12:00:00Z')), deadline);
+  });
+});
+
+describe('getSelectedTime', () => {
+  const now = at('2026-01-15T22:00:00Z');
+
+  it('rolls a time that has passed today over to tomorrow', () => {
+    const selected = getSelectedTime(8, 0, null, now, 'UTC');
+    assert.deepEqual(selected, at('2026-01-16T08:00:00Z'));
+    assert.equal(getDayOffset(selected, now, 'UTC'), 1);
+    assert.deepEqual(getSelectedTime(8, 0, 0, now, 'UTC'), at('2026-01-16T08:00:00Z'));
+    assert.deepEqual(getSelectedTime(23, 30, null, now, 'UTC'), at('2026-01-15T23:30:00Z'));
+  });
+
+  it('keeps a later day and plans across midnight', () => {
+    const selected = getSelectedTime(1, 0, 1, now, 'UTC');
+    assert.deepEqual(selected, at('2026-01-16T01:00:00Z'));
+    assert.equal(computeDelayInfo(selected, 60, { mode: 'start', device_timer_interval: 60 }, now).delayMinutes, 180);
+    assert.deepEqual(getSelectedTime(1, 0, 2, now, 'UTC'), at('2026-01-17T01:00:00Z'));
+  });
+
+  it('selects the wall clock time of the given time zone', () => {
+    // 00:30 in Berlin, already the next day there: 07:00 is still today
+    const afterMidnight = at('2026-01-15T23:30:00Z');
+    assert.deepEqual(getSelectedTime(7, 0, 0, afterMidnight, 'Europe/Berlin'), at('2026-01-16T06:00:00Z'));
+    assert.equal(getDayOffset(at('2026-01-16T06:00:00Z'), afterMidnight, 'Europe/Berlin'), 0);
+    assert.equal(getDayOffset(at('2026-01-16T06:00:00Z'), afterMidnight, 'UTC'), 1);
+    assert.deepEqual(getSelectedTime(7, 0, null, now, 'America/New_York'), at('2026-01-16T12:00:00Z'));
+  });
+
+  it('counts real minutes across the change to summer time', () => {
+    // 22:00 CET before the clocks go forward
+    const now = at('2024-03-30T21:00:00Z');
+    const selected = getSelectedTime(7, 0, 1, now, 'Europe/Berlin');
+    assert.deepEqual(selected, at('2024-03-31T05:00:00Z'));
+    assert.equal(minutesBetween(now, selected), 8 * 60);
+    assert.equal(computeDelayInfo(selected, 60, { mode: 'start', device_timer_interval: 60 }, now).delayMinutes, 480);
+  });
+
+  it('counts real minutes across the change to winter time', () => {
+    // 22:00 CEST before the clocks go back
+    const now = at('2024-10-26T20:00:00Z');
+    const selected = getSelectedTime(7, 0, 1, now, 'Europe/Berlin');
+    assert.deepEqual(selected, at('2024-10-27T06:00:00Z'));
+    assert.equal(computeDelayInfo(selected, 60, { mode: 'start', device_timer_interval: 60 }, now).delayMinutes, 600);
+    assert.equal(getDayOffset(selected, now, 'Europe/Berlin'), 1);
+  });
+});
+
+describe('best time toggles', () => {
+  const selected = at('2026-01-15T13:00:00Z');
+
+  it('is on while the selected time is the optimal start', () => {
+    assert.equal(isToggleOn(false, selected, at('2026-01-15T13:00:30Z'), 'start'), true);
+    assert.equal(isToggleOn(true, selected, at('2026-01-15T14:00:00Z'), 'start'), false);
+  });
+
+  it('keeps its state without an optimal start and when planning by finish time', () => {
+    assert.equal(isToggleOn(true, selected, null, 'start'), true);
+    assert.equal(isToggleOn(false, selected, null, 'start'), false);
+    assert.equal(isToggleOn(true, selected, at('2026-01-15T14:00:00Z'), 'finish'), true);
+  });
+
+  const state = {
+    toggles: { use_best_price: false, use_solar: true },
+    selection: { hour: 9, minute: 15, day: 0 },
+    lastManual: { hour: 8, minute: 0, day: null },
+  };
+  const best = { hour: 3, minute: 0, day: 1 };
+
+  it('selects the optimal start when switched on and turns the other toggle off', () => {
+    const result = switchToggle(Object.assign({}, state, { toggles: { use_best_price: false, use_solar: false } }),
+      'use_best_price', true, best, 'start');
+    assert.deepEqual(result.toggles, { use_best_price: true, use_solar: false });
+    assert.deepEqual(result.selection, best);
+    assert.deepEqual(result.lastManual, state.selection);
+
+    const fromSolar = switchToggle(state, 'use_best_price', true, best, 'start');
+    assert.deepEqual(fromSolar.toggles, { use_best_price: true, use_solar: false });
+    // The solar start was not chosen by hand
+    assert.deepEqual(fromSolar.lastManual, state.lastManual);
+  });
+
+  it('restores the manual time when switched off', () => {
+    const result = switchToggle(state, 'use_solar', false, best, 'start');
+    assert.deepEqual(result.toggles, { use_best_price: false, use_solar: false });
+    assert.deepEqual(result.selection, state.lastManual);
+
+    const noManual = Object.assign({}, state, { lastManual: { hour: null, minute: null, day: null } });
+    assert.deepEqual(switchToggle(noManual, 'use_solar', false, best, 'start').selection, state.selection);
+  });
+
+  it('keeps the deadline when planning by finish time', () => {
+    assert.deepEqual(switchToggle(state, 'use_best_price', true, best, 'finish').selection, state.selection);
+    assert.deepEqual(switchToggle(state, 'use_solar', false, best, 'finish').selection, state.selection);
+  });
+
+  it('keeps the selection while the optimal start is unknown', () => {
+    const result = switchToggle(state, 'use_best_price', true, null, 'start');
+    assert.equal(result.toggles.use_best_price, true);
+    assert.deepEqual(result.selection, state.selection);
+  });
+});
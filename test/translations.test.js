@@ -0,0 +1,36 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCard } from './dom.js';
+
+const now = new Date('2026-01-15T10:00:00Z');
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+afterEach(() => document.body.replaceChildren());
+
+describe('translations', () => {
+  it('loads the language of the user, also for a regional variant', async () => {
+    const { card } = createCard({ mode: 'start', default_time: '13:00' }, { now, language: 'de-AT' });
+    await wait(50);
+    assert.equal(card._t('start_time'), 'Startzeit');
+    assert.equal(card._t('latest_end_violation', { time: '06:00' }), 'Das Programm endet nach 06:00');
+    assert.match(card.shadowRoot.textContent, /Startzeit/);
+  });
+
+  it('falls back to English and prefers the labels of the config', async () => {
+    const { card } = createCard({ mode: 'start', labels: { timer_setting: 'Delay' } }, { now, language: 'pt-BR' });
+    await wait(50);
+    assert.equal(card._t('start_time'), 'Start Time');
+    assert.equal(card._t('timer_setting'), 'Delay');
+    assert.equal(card._t('unknown_key'), 'unknown_key');
+  });
+
+  it('translates the visual editor', async () => {
+    const editor = document.createElement('home-appliance-timer-card-editor');
+    editor.setConfig({ mode: 'start', programs: [] });
+    editor.hass = { language: 'fr', states: {} };
+    await wait(50);
+    assert.equal(editor._label('add_program'), 'Ajouter un programme');
+    editor.hass = { language: 'pt', states: {} };
+    assert.equal(editor._label('add_program'), 'Add program');
+  });
+});